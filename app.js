@@ -1,4 +1,18 @@
 // EuroRack 3D Modeler Application
+import AutoLayoutService from './src/services/AutoLayoutService.js';
+import ComponentLibraryService from './src/services/ComponentLibraryService.js';
+import ConfigService from './src/services/ConfigService.js';
+import ConstraintService from './src/services/ConstraintService.js';
+import DepthStackService from './src/services/DepthStackService.js';
+import DesignRuleService from './src/services/DesignRuleService.js';
+import ExportService from './src/services/ExportService.js';
+import HistoryService from './src/services/HistoryService.js';
+import LayoutService from './src/services/LayoutService.js';
+import ModuleDesignService from './src/services/ModuleDesignService.js';
+import PanelDrawingService from './src/services/PanelDrawingService.js';
+import PanelModelService from './src/services/PanelModelService.js';
+import PanelStandardsService from './src/services/PanelStandardsService.js';
+
 class EuroRackApp {
     constructor() {
         this.currentModule = this.getDefaultModule();
@@ -12,7 +26,28 @@ class EuroRackApp {
         this.currentModel = null;
         this.isDarkTheme = true;
         this.addControlMode = null;
+        this.addControlPartId = null;
+        this.designRuleResult = null;
+        this.legendFontRequest = null;  // Pending or loaded legend font for printable panels
+        // Pinch-zoom and pan of the panel preview
+        this.panelView = { scale: 1, x: 0, y: 0 };
+        this.activePointerDrag = null;
+        this.unsatisfiedConstraints = [];
+        this.selectedControls = [];
+        this.controlClipboard = [];
         this.currentRackSize = 104;
+        this.currentRackRows = ['eurorack-3u'];
+        
+        this.controlIcons = {
+            knob: '⚪',
+            pot: '⚪',
+            jack: '●',
+            switch: '▢',
+            led: '•',
+            button: '◉',
+            slider: '▮',
+            display: '▭'
+        };
         
         this.eurorackData = {
             hpUnit: 5.08,
@@ -42,12 +77,17 @@ class EuroRackApp {
     getDefaultModule() {
         return {
             name: "Untitled Module",
+            format: "eurorack-3u",
             width: 4,
             height: 128.5,
             depth: 25,
             powerDraw: {"+12V": 0, "-12V": 0, "+5V": 0},
             controls: [],
             mountingHoles: [],
+            mountingHoleStyle: "round",
+            mountingHoleOverrides: {},
+            constraints: [],
+            stack: { pcbs: [{}] },
             images: []
         };
     }
@@ -74,31 +114,154 @@ class EuroRackApp {
         const moduleName = document.getElementById('moduleName');
         if (moduleName) {
             moduleName.addEventListener('input', (e) => {
-                this.currentModule.name = e.target.value;
+                this.applyChange('Rename module', ['currentModule'], () => {
+                    this.currentModule.name = e.target.value;
+                }, { mergeKey: 'moduleName' });
             });
         }
         
         const moduleWidth = document.getElementById('moduleWidth');
         if (moduleWidth) {
             moduleWidth.addEventListener('change', (e) => {
-                this.currentModule.width = parseInt(e.target.value);
+                this.applyChange('Change width', ['currentModule', 'controls'], () => {
+                    this.currentModule.width = parseInt(e.target.value);
+                    this.solveConstraints();
+                });
                 this.updateHPRuler();
                 this.updatePanelLayout();
             });
         }
         
+        const moduleFormat = document.getElementById('moduleFormat');
+        if (moduleFormat) {
+            moduleFormat.addEventListener('change', (e) => {
+                const format = PanelStandardsService.getFormat({ format: e.target.value });
+                this.applyChange('Change format', ['currentModule', 'controls'], () => {
+                    this.currentModule.format = format.id;
+                    this.currentModule.height = format.height;
+                    // Hole overrides are panel-specific and rarely survive a format change
+                    this.currentModule.mountingHoleOverrides = {};
+                    this.solveConstraints();
+                });
+                
+                const heightInput = document.getElementById('moduleHeight');
+                if (heightInput) heightInput.value = format.height;
+                
+                this.updatePanelLayout();
+                this.updateMeasurements();
+            });
+        }
+        
         const moduleHeight = document.getElementById('moduleHeight');
         if (moduleHeight) {
             moduleHeight.addEventListener('input', (e) => {
-                this.currentModule.height = parseFloat(e.target.value);
+                this.applyChange('Change height', ['currentModule', 'controls'], () => {
+                    this.currentModule.height = parseFloat(e.target.value);
+                    this.solveConstraints();
+                }, { mergeKey: 'moduleHeight' });
                 this.updatePanelLayout();
             });
         }
         
+        // Depth follows the behind-panel stack
         const moduleDepth = document.getElementById('moduleDepth');
         if (moduleDepth) {
-            moduleDepth.addEventListener('input', (e) => {
-                this.currentModule.depth = parseFloat(e.target.value);
+            moduleDepth.readOnly = true;
+        }
+        
+        const pcbCount = document.getElementById('pcbCount');
+        if (pcbCount) {
+            pcbCount.addEventListener('change', (e) => {
+                const count = Math.max(1, Math.min(4, parseInt(e.target.value) || 1));
+                this.applyChange('Change PCB count', ['currentModule'], () => {
+                    const pcbs = (this.currentModule.stack && this.currentModule.stack.pcbs) || [{}];
+                    const spacing = pcbs.length > 1 ? pcbs[1].spacing : undefined;
+                    this.currentModule.stack = {
+                        ...this.currentModule.stack,
+                        pcbs: Array.from({ length: count }, (pcb, index) => pcbs[index] || (index > 0 && spacing !== undefined ? { spacing } : {}))
+                    };
+                });
+                this.updatePanelLayout();
+            });
+        }
+        
+        const pcbSpacing = document.getElementById('pcbSpacing');
+        if (pcbSpacing) {
+            pcbSpacing.addEventListener('change', (e) => {
+                const spacing = parseFloat(e.target.value);
+                this.applyChange('Change PCB spacing', ['currentModule'], () => {
+                    // The first PCB follows the deepest panel part; the rest share one spacing
+                    const pcbs = (this.currentModule.stack && this.currentModule.stack.pcbs) || [{}];
+                    this.currentModule.stack = {
+                        ...this.currentModule.stack,
+                        pcbs: pcbs.map((pcb, index) => index === 0 || !(spacing >= 0) ? pcb : { ...pcb, spacing })
+                    };
+                });
+                this.updatePanelLayout();
+            });
+        }
+        
+        // Power header and the case it has to fit
+        const powerHeaderFields = {
+            powerHeaderPins: 'pins',
+            powerHeaderOrientation: 'orientation',
+            powerHeaderStripe: 'stripe',
+            powerHeaderX: 'x',
+            powerHeaderY: 'y'
+        };
+        Object.entries(powerHeaderFields).forEach(([id, field]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => this.updatePowerHeader(field, e.target.value));
+            }
+        });
+        
+        const caseDepth = document.getElementById('caseDepth');
+        if (caseDepth) {
+            caseDepth.addEventListener('change', (e) => {
+                const depth = parseFloat(e.target.value);
+                this.applyChange('Change case depth', ['currentModule'], () => {
+                    const stack = { ...this.currentModule.stack };
+                    // Blank falls back to the format's deepest case
+                    if (depth > 0) {
+                        stack.caseDepth = depth;
+                    } else {
+                        delete stack.caseDepth;
+                    }
+                    this.currentModule.stack = stack;
+                });
+                this.updateDesignRuleCheck();
+            });
+        }
+        
+        const toleranceProfile = document.getElementById('toleranceProfile');
+        if (toleranceProfile) {
+            toleranceProfile.value = ConfigService.get('panel.toleranceProfile', 'doepfer');
+            toleranceProfile.addEventListener('change', (e) => {
+                ConfigService.set('panel.toleranceProfile', e.target.value);
+                this.updatePanelLayout();
+                this.updateMeasurements();
+            });
+        }
+        
+        const mountingHoleStyle = document.getElementById('mountingHoleStyle');
+        if (mountingHoleStyle) {
+            mountingHoleStyle.addEventListener('change', (e) => {
+                this.applyChange('Change mounting holes', ['currentModule'], () => {
+                    this.currentModule.mountingHoleStyle = e.target.value;
+                });
+                this.updatePanelLayout();
+            });
+        }
+        
+        const resetMountingHoles = document.getElementById('resetMountingHoles');
+        if (resetMountingHoles) {
+            resetMountingHoles.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyChange('Reset mounting holes', ['currentModule'], () => {
+                    this.currentModule.mountingHoleOverrides = {};
+                });
+                this.updatePanelLayout();
             });
         }
         
@@ -108,11 +271,61 @@ class EuroRackApp {
             if (element) {
                 element.addEventListener('input', (e) => {
                     const rail = id === 'power12V' ? '+12V' : id === 'powerNeg12V' ? '-12V' : '+5V';
-                    this.currentModule.powerDraw[rail] = parseInt(e.target.value) || 0;
+                    this.applyChange(`Change ${rail} power`, ['currentModule'], () => {
+                        this.currentModule.powerDraw[rail] = parseInt(e.target.value) || 0;
+                    }, { mergeKey: id });
                 });
             }
         });
         
+        // Undo / redo and control clipboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            if (!(e.ctrlKey || e.metaKey) || !['z', 'y', 'c', 'v'].includes(key)) return;
+            // Leave form fields their own undo and clipboard
+            if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+            // Only take over the browser clipboard when there are controls to copy or paste
+            if ((key === 'c' && this.selectedControls.length === 0) || (key === 'v' && this.controlClipboard.length === 0)) return;
+            
+            e.preventDefault();
+            if (key === 'c') {
+                this.copySelection();
+            } else if (key === 'v') {
+                this.pasteControls();
+            } else if (key === 'y' || e.shiftKey) {
+                HistoryService.redo();
+            } else {
+                HistoryService.undo();
+            }
+        });
+        
+        const undoButton = document.getElementById('undo');
+        if (undoButton) {
+            undoButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                HistoryService.undo();
+            });
+        }
+        
+        const redoButton = document.getElementById('redo');
+        if (redoButton) {
+            redoButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                HistoryService.redo();
+            });
+        }
+        
+        HistoryService.registerChangeHandler((state) => {
+            if (undoButton) {
+                undoButton.disabled = !state.undoLabel;
+                undoButton.title = state.undoLabel ? `Undo ${state.undoLabel}` : 'Nothing to undo';
+            }
+            if (redoButton) {
+                redoButton.disabled = !state.redoLabel;
+                redoButton.title = state.redoLabel ? `Redo ${state.redoLabel}` : 'Nothing to redo';
+            }
+        });
+        
         // Layout controls
         const addKnob = document.getElementById('addKnob');
         if (addKnob) {
@@ -138,6 +351,86 @@ class EuroRackApp {
             });
         }
         
+        const controlPart = document.getElementById('controlPart');
+        if (controlPart) {
+            ComponentLibraryService.getParts().forEach(part => {
+                const option = document.createElement('option');
+                option.value = part.id;
+                option.textContent = part.name;
+                controlPart.appendChild(option);
+            });
+            controlPart.addEventListener('change', (e) => {
+                const part = ComponentLibraryService.getPart(e.target.value);
+                if (part) this.setAddControlMode(part.type, part.id);
+            });
+        }
+        
+        const gridSize = document.getElementById('gridSize');
+        if (gridSize) {
+            LayoutService.getGridPresets().forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.size;
+                option.textContent = preset.label;
+                gridSize.appendChild(option);
+            });
+            gridSize.value = ConfigService.get('layout.gridSize', 1);
+            gridSize.addEventListener('change', (e) => {
+                ConfigService.set('layout.gridSize', parseFloat(e.target.value) || 0);
+            });
+        }
+        
+        const snapToControls = document.getElementById('snapToControls');
+        if (snapToControls) {
+            snapToControls.checked = ConfigService.get('layout.snapToControls', true);
+            snapToControls.addEventListener('change', (e) => {
+                ConfigService.set('layout.snapToControls', e.target.checked);
+            });
+        }
+        
+        const accessibilityMode = document.getElementById('accessibilityMode');
+        if (accessibilityMode) {
+            accessibilityMode.checked = ConfigService.get('ui.accessibilityMode', false);
+            accessibilityMode.addEventListener('change', (e) => {
+                ConfigService.set('ui.accessibilityMode', e.target.checked);
+                this.updatePanelLayout();
+            });
+        }
+        
+        const autoLayout = document.getElementById('autoLayout');
+        if (autoLayout) {
+            autoLayout.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.runAutoLayout();
+            });
+        }
+        
+        // Selection tools
+        const selectionTools = {
+            alignLeft: () => this.alignSelection('left'),
+            alignCentre: () => this.alignSelection('centre'),
+            alignRight: () => this.alignSelection('right'),
+            alignTop: () => this.alignSelection('top'),
+            alignBottom: () => this.alignSelection('bottom'),
+            distributeHorizontal: () => this.distributeSelection('x'),
+            distributeVertical: () => this.distributeSelection('y'),
+            mirrorSelection: () => this.mirrorSelection(),
+            copyControls: () => this.copySelection(),
+            pasteControls: () => this.pasteControls(),
+            arrayControls: () => this.arraySelection(),
+            constrainCentre: () => this.addConstraintFromSelection('centreX'),
+            constrainSpacing: () => this.addConstraintFromSelection('equalSpacing'),
+            constrainEdge: () => this.addConstraintFromSelection('edgeDistance')
+        };
+        Object.entries(selectionTools).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    action();
+                });
+            }
+        });
+        
         const clearControls = document.getElementById('clearControls');
         if (clearControls) {
             clearControls.addEventListener('click', (e) => {
@@ -223,6 +516,46 @@ class EuroRackApp {
             });
         }
         
+        const export3MF = document.getElementById('export3MF');
+        if (export3MF) {
+            export3MF.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportModel('3mf');
+            });
+        }
+        
+        const exportDXF = document.getElementById('exportDXF');
+        if (exportDXF) {
+            exportDXF.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportPanelDrawing('dxf');
+            });
+        }
+        
+        const exportSVG = document.getElementById('exportSVG');
+        if (exportSVG) {
+            exportSVG.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportPanelDrawing('svg');
+            });
+        }
+        
+        const exportBOM = document.getElementById('exportBOM');
+        if (exportBOM) {
+            exportBOM.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportBOM();
+            });
+        }
+        
+        const exportPrintablePanel = document.getElementById('exportPrintablePanel');
+        if (exportPrintablePanel) {
+            exportPrintablePanel.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportPrintablePanel();
+            });
+        }
+        
         const screenshotModel = document.getElementById('screenshotModel');
         if (screenshotModel) {
             screenshotModel.addEventListener('click', (e) => {
@@ -237,6 +570,25 @@ class EuroRackApp {
             rackSize.addEventListener('change', (e) => {
                 this.currentRackSize = parseInt(e.target.value);
                 this.updateRackGrid();
+                this.renderRackView();
+            });
+        }
+        
+        const rackRows = document.getElementById('rackRows');
+        if (rackRows) {
+            rackRows.addEventListener('change', (e) => {
+                // Row format ids from top to bottom, e.g. "eurorack-3u,intellijel-1u"
+                this.currentRackRows = e.target.value.split(',').map(id => id.trim()).filter(Boolean);
+                this.renderRackView();
+            });
+        }
+        
+        const resetPanelView = document.getElementById('resetPanelView');
+        if (resetPanelView) {
+            resetPanelView.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.panelView = { scale: 1, x: 0, y: 0 };
+                this.applyPanelView();
             });
         }
         
@@ -256,6 +608,14 @@ class EuroRackApp {
             });
         }
         
+        const exportRackGLB = document.getElementById('exportRackGLB');
+        if (exportRackGLB) {
+            exportRackGLB.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.exportRackGLB();
+            });
+        }
+        
         // Project management
         const saveProject = document.getElementById('saveProject');
         if (saveProject) {
@@ -330,136 +690,900 @@ class EuroRackApp {
         }
     }
     
-    initializePanelLayout() {
-        const panelPreview = document.getElementById('panelPreview');
-        if (panelPreview) {
-            panelPreview.addEventListener('click', (e) => this.handlePanelClick(e));
-        }
-        this.updatePanelLayout();
+    initializePanelLayout() {
+        const panelPreview = document.getElementById('panelPreview');
+        if (panelPreview) {
+            panelPreview.addEventListener('click', (e) => this.handlePanelClick(e));
+            // Touch gestures are handled here rather than by the browser
+            panelPreview.style.touchAction = 'none';
+            this.setupPanelGestures(panelPreview);
+            // Rubber-band selection starts on the empty panel
+            panelPreview.addEventListener('pointerdown', (e) => {
+                if (e.target === panelPreview && !this.addControlMode) {
+                    this.startSelectionBox(e);
+                }
+            });
+        }
+        this.updatePanelLayout();
+    }
+    
+    updatePanelLayout() {
+        const preview = document.getElementById('panelPreview');
+        if (!preview) return;
+        
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        
+        // Set aspect ratio based on actual dimensions
+        const aspectRatio = widthMm / heightMm;
+        preview.style.aspectRatio = aspectRatio;
+        preview.style.minHeight = '200px';
+        
+        // Larger hit targets and high-contrast glyphs
+        preview.classList.toggle('panel-preview--accessible', ConfigService.get('ui.accessibilityMode', false));
+        preview.setAttribute('aria-label', `Panel layout, ${this.controls.length} control(s). Arrow keys move the selected control, Shift for bigger steps, Delete removes it.`);
+        
+        // Re-rendering replaces the elements, so remember which control had focus
+        const focused = document.activeElement && document.activeElement.classList.contains('control-element')
+            ? document.activeElement.dataset.index
+            : null;
+        
+        // Clear existing controls
+        preview.querySelectorAll('.control-element, .mounting-hole-element').forEach(el => el.remove());
+        
+        // Add rail mounting holes
+        this.currentModule.mountingHoles = PanelStandardsService.getMountingHoles(this.currentModule);
+        this.currentModule.mountingHoles.forEach(hole => {
+            this.addMountingHoleToPreview(hole, widthMm, heightMm);
+        });
+        
+        // Add controls
+        this.controls.forEach((control, index) => {
+            this.addControlToPreview(control, index);
+        });
+        
+        this.setSelection(this.selectedControls.filter(index => index < this.controls.length));
+        this.updateDesignRuleCheck();
+        this.updateConstraintsList();
+        
+        const focusedElement = focused !== null && preview.querySelector(`.control-element[data-index="${focused}"]`);
+        if (focusedElement) focusedElement.focus();
+    }
+    
+    updateDesignRuleCheck() {
+        // Depth comes from the PCB stack and the parts behind the panel
+        this.currentModule.depth = DepthStackService.getDepth({ ...this.currentModule, controls: this.controls });
+        const depthInput = document.getElementById('moduleDepth');
+        if (depthInput) depthInput.value = this.currentModule.depth;
+        
+        this.designRuleResult = DesignRuleService.checkModule({ ...this.currentModule, controls: this.controls });
+        
+        // Power header problems belong to the module rather than a control
+        const powerHeaderCheck = document.getElementById('powerHeaderCheck');
+        if (powerHeaderCheck) {
+            const violations = this.designRuleResult
+                ? this.designRuleResult.violations.filter(v => v.rule === 'powerHeader')
+                : [];
+            powerHeaderCheck.replaceChildren(...violations.map(v => this.createViolationElement(v)));
+        }
+        
+        // Flag offending controls in the panel preview
+        document.querySelectorAll('#panelPreview .control-element').forEach(element => {
+            const index = parseInt(element.dataset.index);
+            const violations = DesignRuleService.getControlViolations(this.designRuleResult, index);
+            
+            element.classList.toggle('control-element--error', violations.some(v => v.severity === 'error'));
+            element.classList.toggle('control-element--warning', violations.some(v => v.severity === 'warning'));
+            element.setAttribute('aria-invalid', violations.some(v => v.severity === 'error'));
+            // First title line is the control label, violations follow
+            element.title = [element.title.split('\n')[0], ...violations.map(v => v.message)].join('\n');
+        });
+        
+        this.updateControlsList();
+    }
+    
+    updatePowerHeader(field, value) {
+        const numeric = ['pins', 'x', 'y'].includes(field);
+        const parsed = numeric ? parseFloat(value) : value;
+        
+        this.applyChange('Change power header', ['currentModule'], () => {
+            const stack = this.currentModule.stack || {};
+            const powerHeader = { ...stack.powerHeader };
+            // Blank positions fall back to the default placement
+            if (numeric && !Number.isFinite(parsed)) {
+                delete powerHeader[field];
+            } else {
+                powerHeader[field] = parsed;
+            }
+            // Each orientation has its own pair of stripe ends
+            if (field === 'orientation') {
+                delete powerHeader.stripe;
+            }
+            this.currentModule.stack = { ...stack, powerHeader };
+        });
+        
+        this.syncModuleInputs();
+        this.updateDesignRuleCheck();
+    }
+    
+    canExportModule() {
+        const result = this.designRuleResult;
+        if (!result || result.isValid) return true;
+        
+        const override = document.getElementById('drcOverride');
+        if (override && override.checked) return true;
+        
+        alert(`Design rule check failed:\n${result.errors.join('\n')}\n\nFix the layout or tick "Ignore design rules" to export anyway.`);
+        return false;
+    }
+    
+    setAddControlMode(type, partId = null) {
+        this.addControlMode = type;
+        this.addControlPartId = partId;
+        const panelPreview = document.getElementById('panelPreview');
+        if (panelPreview) {
+            panelPreview.style.cursor = 'crosshair';
+        }
+        
+        // Update button states
+        document.querySelectorAll('.layout-toolbar .btn').forEach(btn => btn.classList.remove('btn--primary'));
+        if (type === 'knob') {
+            const btn = document.getElementById('addKnob');
+            if (btn) btn.classList.add('btn--primary');
+        } else if (type === 'jack') {
+            const btn = document.getElementById('addJack');
+            if (btn) btn.classList.add('btn--primary');
+        } else if (type === 'switch') {
+            const btn = document.getElementById('addSwitch');
+            if (btn) btn.classList.add('btn--primary');
+        }
+    }
+    
+    handlePanelClick(e) {
+        if (!this.addControlMode) return;
+        
+        const rect = e.target.getBoundingClientRect();
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const { x, y } = LayoutService.snapPosition(
+            ((e.clientX - rect.left) / rect.width) * widthMm,
+            ((e.clientY - rect.top) / rect.height) * heightMm,
+            this.getControlPositions(widthMm)
+        );
+        
+        const part = ComponentLibraryService.resolvePart({ type: this.addControlMode, partId: this.addControlPartId });
+        
+        // 'auto' anchors the control to the nearest panel edge or the centre line
+        const anchorSelect = document.getElementById('controlAnchor');
+        const anchor = anchorSelect && anchorSelect.value !== 'auto'
+            ? anchorSelect.value
+            : LayoutService.getAnchorForPosition(x, widthMm);
+        
+        const control = LayoutService.setAbsolutePosition({
+            type: this.addControlMode,
+            partId: part ? part.id : null,
+            anchor: anchor,
+            label: `${this.addControlMode} ${this.controls.length + 1}`,
+            id: LayoutService.createControlId()
+        }, x, y, widthMm);
+        
+        this.applyChange(`Add ${control.type}`, ['controls'], () => {
+            this.controls.push(control);
+        });
+        this.addControlToPreview(control, this.controls.length - 1);
+        this.updateDesignRuleCheck();
+        
+        // Reset mode
+        this.addControlMode = null;
+        this.addControlPartId = null;
+        const panelPreview = document.getElementById('panelPreview');
+        if (panelPreview) {
+            panelPreview.style.cursor = 'default';
+        }
+        document.querySelectorAll('.layout-toolbar .btn').forEach(btn => btn.classList.remove('btn--primary'));
+    }
+    
+    addControlToPreview(control, index) {
+        const preview = document.getElementById('panelPreview');
+        if (!preview) return;
+        
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const position = LayoutService.getAbsolutePosition(control, widthMm);
+        
+        const element = document.createElement('div');
+        element.className = `control-element control-element--${control.type}`;
+        element.style.left = `${(position.x / widthMm) * 100}%`;
+        element.style.top = `${(position.y / heightMm) * 100}%`;
+        const part = ComponentLibraryService.resolvePart(control);
+        element.title = part ? `${control.label} (${part.name})` : control.label;
+        if (control.signal) {
+            element.title += ` – ${control.signal}`;
+        }
+        element.textContent = this.controlIcons[control.type] || '▢';
+        element.dataset.index = index;
+        
+        // Focusable for keyboard and screen-reader users
+        element.tabIndex = 0;
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', `${control.label}, ${part ? part.name : control.type}, ${position.x.toFixed(1)} mm from left, ${position.y.toFixed(1)} mm from top${control.signal ? `, ${control.signal}` : ''}`);
+        element.addEventListener('keydown', (e) => this.handleControlKeydown(e, index));
+        // Tabbing onto a control selects it
+        element.addEventListener('keyup', (e) => {
+            if (e.key === 'Tab') this.setSelection([index]);
+        });
+        
+        // Make draggable
+        element.addEventListener('pointerdown', (e) => this.startDragControl(e, index));
+        
+        preview.appendChild(element);
+    }
+    
+    handleControlKeydown(e, index) {
+        const nudges = {
+            ArrowLeft: { x: -1, y: 0 },
+            ArrowRight: { x: 1, y: 0 },
+            ArrowUp: { x: 0, y: -1 },
+            ArrowDown: { x: 0, y: 1 }
+        };
+        const indices = this.selectedControls.includes(index) ? this.selectedControls : [index];
+        
+        if (nudges[e.key]) {
+            e.preventDefault();
+            // One grid step, ten with Shift; 1 mm when the grid is off
+            const step = (ConfigService.get('layout.gridSize', 1) || 1) * (e.shiftKey ? 10 : 1);
+            this.nudgeControls(indices, nudges[e.key].x * step, nudges[e.key].y * step);
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.removeControls(indices);
+        } else if (e.key === 'Escape') {
+            this.setSelection([]);
+        }
+    }
+    
+    nudgeControls(indices, dx, dy) {
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        
+        // Repeated key presses fold into one undo step
+        this.applyChange('Nudge controls', ['controls'], () => {
+            indices.forEach(index => {
+                const position = LayoutService.getAbsolutePosition(this.controls[index], widthMm);
+                const x = Math.max(0, Math.min(widthMm, position.x + dx));
+                const y = Math.max(0, Math.min(heightMm, position.y + dy));
+                this.controls[index] = LayoutService.setAbsolutePosition(this.controls[index], x, y, widthMm);
+            });
+            this.solveConstraints(indices);
+        }, { mergeKey: `nudge-${indices.join(',')}` });
+        this.updatePanelLayout();
+    }
+    
+    removeControls(indices) {
+        if (indices.length === 0) return;
+        
+        const label = indices.length === 1 ? this.controls[indices[0]].label : `${indices.length} controls`;
+        this.applyChange(`Remove ${label}`, ['controls', 'currentModule'], () => {
+            this.controls = this.controls.filter((control, index) => !indices.includes(index));
+            this.currentModule.constraints = ConstraintService.pruneConstraints(this.currentModule.constraints, this.controls);
+        });
+        
+        // Keep keyboard focus in the panel on the control that took the first one's place
+        const next = Math.min(Math.min(...indices), this.controls.length - 1);
+        this.selectedControls = next >= 0 ? [next] : [];
+        this.updatePanelLayout();
+        this.updateControlsList();
+        
+        const nextElement = document.querySelector(`#panelPreview .control-element[data-index="${next}"]`);
+        if (nextElement) nextElement.focus();
+    }
+    
+    addMountingHoleToPreview(hole, widthMm, heightMm) {
+        const preview = document.getElementById('panelPreview');
+        if (!preview) return;
+        
+        const element = document.createElement('div');
+        element.className = 'mounting-hole-element';
+        if (this.currentModule.mountingHoleOverrides[hole.id]) {
+            element.classList.add('mounting-hole-element--overridden');
+        }
+        element.style.left = `${(hole.x / widthMm) * 100}%`;
+        element.style.top = `${(hole.y / heightMm) * 100}%`;
+        element.title = `Mounting hole ${hole.id} (${hole.x.toFixed(2)}, ${hole.y.toFixed(2)} mm)`;
+        element.textContent = hole.slotLength > 0 ? '⬭' : '◦';
+        element.dataset.holeId = hole.id;
+        
+        // Dragging a hole stores a per-module position override
+        element.addEventListener('pointerdown', (e) => this.startDragMountingHole(e, hole.id));
+        
+        preview.appendChild(element);
+    }
+    
+    startDragMountingHole(e, holeId) {
+        e.preventDefault();
+        e.stopPropagation();
+        const preview = document.getElementById('panelPreview');
+        const element = e.target;
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const before = this.captureState(['currentModule']);
+        
+        const onPointerMove = (e) => {
+            const rect = preview.getBoundingClientRect();
+            const x = Math.max(0, Math.min(widthMm, ((e.clientX - rect.left) / rect.width) * widthMm));
+            const y = Math.max(0, Math.min(heightMm, ((e.clientY - rect.top) / rect.height) * heightMm));
+            
+            element.style.left = `${(x / widthMm) * 100}%`;
+            element.style.top = `${(y / heightMm) * 100}%`;
+            
+            this.currentModule.mountingHoleOverrides[holeId] = {
+                x: Math.round(x * 100) / 100,
+                y: Math.round(y * 100) / 100
+            };
+        };
+        
+        this.trackPointer(e, onPointerMove, () => {
+            // The whole drag is one undo step
+            this.recordChange('Move mounting hole', before, this.captureState(['currentModule']));
+            this.updatePanelLayout();
+        });
+    }
+    
+    startDragControl(e, index) {
+        e.preventDefault();
+        
+        // Shift-click adds or removes the control from the selection
+        if (e.shiftKey) {
+            this.setSelection(this.selectedControls.includes(index)
+                ? this.selectedControls.filter(selected => selected !== index)
+                : [...this.selectedControls, index]);
+            return;
+        }
+        if (!this.selectedControls.includes(index)) {
+            this.setSelection([index]);
+        }
+        
+        const preview = document.getElementById('panelPreview');
+        const element = e.target;
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const startPositions = this.getControlPositions(widthMm);
+        const others = startPositions.filter(other => !this.selectedControls.includes(other.index));
+        // The rest of the selection follows the dragged control
+        const followers = this.selectedControls.filter(selected => selected !== index);
+        const before = this.captureState(['controls']);
+        
+        const onPointerMove = (e) => {
+            const rect = preview.getBoundingClientRect();
+            const rawX = ((e.clientX - rect.left) / rect.width) * widthMm;
+            const rawY = ((e.clientY - rect.top) / rect.height) * heightMm;
+            
+            // Hold Alt to place freely
+            const snap = e.altKey
+                ? { x: rawX, y: rawY, guides: [], nearest: LayoutService.findNearestNeighbour({ x: rawX, y: rawY }, others) }
+                : LayoutService.snapPosition(rawX, rawY, others);
+            const x = Math.max(0, Math.min(widthMm, snap.x));
+            const y = Math.max(0, Math.min(heightMm, snap.y));
+            
+            this.showDragFeedback({ ...snap, x, y }, widthMm, heightMm);
+            
+            element.style.left = `${(x / widthMm) * 100}%`;
+            element.style.top = `${(y / heightMm) * 100}%`;
+            
+            // Stored relative to the control's anchor
+            if (this.controls[index]) {
+                this.controls[index] = LayoutService.setAbsolutePosition(this.controls[index], x, y, widthMm);
+            }
+            
+            const dx = x - startPositions[index].x;
+            const dy = y - startPositions[index].y;
+            followers.forEach(follower => {
+                const start = startPositions[follower];
+                this.controls[follower] = LayoutService.setAbsolutePosition(this.controls[follower], start.x + dx, start.y + dy, widthMm);
+                
+                const followerElement = preview.querySelector(`.control-element[data-index="${follower}"]`);
+                if (followerElement) {
+                    followerElement.style.left = `${((start.x + dx) / widthMm) * 100}%`;
+                    followerElement.style.top = `${((start.y + dy) / heightMm) * 100}%`;
+                }
+            });
+        };
+        
+        this.trackPointer(e, onPointerMove, () => {
+            this.clearDragFeedback();
+            // Constrained controls follow the dragged ones
+            this.solveConstraints([index, ...followers]);
+            // The whole drag is one undo step
+            this.recordChange(followers.length ? 'Move controls' : 'Move control', before, this.captureState(['controls']));
+            this.updatePanelLayout();
+        });
+    }
+    
+    startSelectionBox(e) {
+        const preview = document.getElementById('panelPreview');
+        const { actualWidth: widthMm, height: heightMm } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const rect = preview.getBoundingClientRect();
+        const toPanel = (event) => ({
+            x: ((event.clientX - rect.left) / rect.width) * widthMm,
+            y: ((event.clientY - rect.top) / rect.height) * heightMm
+        });
+        const start = toPanel(e);
+        const additive = e.shiftKey;
+        const initialSelection = additive ? [...this.selectedControls] : [];
+        
+        const box = document.createElement('div');
+        box.className = 'selection-box';
+        preview.appendChild(box);
+        
+        const selectWithin = (event) => {
+            const end = toPanel(event);
+            const left = Math.min(start.x, end.x);
+            const right = Math.max(start.x, end.x);
+            const top = Math.min(start.y, end.y);
+            const bottom = Math.max(start.y, end.y);
+            
+            box.style.left = `${(left / widthMm) * 100}%`;
+            box.style.top = `${(top / heightMm) * 100}%`;
+            box.style.width = `${((right - left) / widthMm) * 100}%`;
+            box.style.height = `${((bottom - top) / heightMm) * 100}%`;
+            
+            const inside = this.getControlPositions(widthMm)
+                .filter(position => position.x >= left && position.x <= right && position.y >= top && position.y <= bottom)
+                .map(position => position.index);
+            this.setSelection([...new Set([...initialSelection, ...inside])]);
+        };
+        
+        this.trackPointer(e, selectWithin, (event) => {
+            // Cancelled drags (e.g. by a pinch) keep the selection made so far
+            if (event.clientX !== undefined) {
+                selectWithin(event);
+            }
+            box.remove();
+        });
+    }
+    
+    trackPointer(e, onMove, onEnd) {
+        const pointerId = e.pointerId;
+        
+        const handleMove = (event) => {
+            if (event.pointerId === pointerId) onMove(event);
+        };
+        const finish = (event) => {
+            if (event.pointerId !== pointerId) return;
+            document.removeEventListener('pointermove', handleMove);
+            document.removeEventListener('pointerup', finish);
+            document.removeEventListener('pointercancel', finish);
+            this.activePointerDrag = null;
+            onEnd(event);
+        };
+        
+        document.addEventListener('pointermove', handleMove);
+        document.addEventListener('pointerup', finish);
+        document.addEventListener('pointercancel', finish);
+        // A second finger turns the gesture into a pinch, ending the drag where it is
+        this.activePointerDrag = () => finish({ pointerId });
+    }
+    
+    setupPanelGestures(preview) {
+        const pointers = new Map();
+        let pinch = null;
+        
+        // Capture phase, so a second finger never starts a control drag or rubber band
+        preview.addEventListener('pointerdown', (e) => {
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size < 2) return;
+            
+            e.stopPropagation();
+            if (this.activePointerDrag) this.activePointerDrag();
+            
+            const [a, b] = [...pointers.values()];
+            const rect = preview.getBoundingClientRect();
+            pinch = {
+                distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+                midpoint: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+                view: { ...this.panelView },
+                // Untransformed top-left corner of the preview
+                origin: { x: rect.left - this.panelView.x, y: rect.top - this.panelView.y }
+            };
+        }, true);
+        
+        document.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (!pinch || pointers.size < 2) return;
+            
+            const [a, b] = [...pointers.values()];
+            const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            const minScale = ConfigService.get('ui.panelZoom.min', 1);
+            const maxScale = ConfigService.get('ui.panelZoom.max', 8);
+            const scale = Math.max(minScale, Math.min(maxScale, pinch.view.scale * Math.hypot(a.x - b.x, a.y - b.y) / pinch.distance));
+            
+            // Keep the panel point under the starting midpoint under the fingers
+            const ratio = scale / pinch.view.scale;
+            this.panelView = {
+                scale,
+                x: midpoint.x - pinch.origin.x - ratio * (pinch.midpoint.x - pinch.origin.x - pinch.view.x),
+                y: midpoint.y - pinch.origin.y - ratio * (pinch.midpoint.y - pinch.origin.y - pinch.view.y)
+            };
+            this.applyPanelView();
+        });
+        
+        ['pointerup', 'pointercancel'].forEach(eventName => {
+            document.addEventListener(eventName, (e) => {
+                pointers.delete(e.pointerId);
+                if (pointers.size < 2) pinch = null;
+            });
+        });
+    }
+    
+    applyPanelView() {
+        const preview = document.getElementById('panelPreview');
+        if (!preview) return;
+        
+        const { scale, x, y } = this.panelView;
+        preview.style.transformOrigin = '0 0';
+        preview.style.transform = scale === 1 && x === 0 && y === 0 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+    }
+    
+    setSelection(indices) {
+        this.selectedControls = indices;
+        document.querySelectorAll('#panelPreview .control-element').forEach(element => {
+            element.classList.toggle('control-element--selected', indices.includes(parseInt(element.dataset.index)));
+        });
+        this.updateControlInspector();
+    }
+    
+    updateControlInspector() {
+        const container = document.getElementById('controlInspector');
+        if (!container) return;
+        
+        const index = this.selectedControls.length === 1 ? this.selectedControls[0] : null;
+        const control = index !== null ? this.controls[index] : null;
+        if (!control) {
+            container.innerHTML = '<div class="inspector-empty">Select a single control to edit its properties</div>';
+            return;
+        }
+        
+        const part = ComponentLibraryService.resolvePart(control);
+        const partOptions = ComponentLibraryService.getParts()
+            .map(option => `<option value="${option.id}">${option.name}</option>`)
+            .join('');
+        
+        container.innerHTML = `
+            <label class="form-label">Label <input type="text" class="form-control" data-field="label"></label>
+            <label class="form-label">Part <select class="form-control" data-field="partId">${partOptions}</select></label>
+            <label class="form-label">Rotation (°) <input type="number" class="form-control" data-field="rotation" step="15"></label>
+            ${ComponentLibraryService.isColorable(part) ? `<label class="form-label">${part.type === 'led' ? 'LED colour' : 'Knob colour'} <input type="color" class="form-control" data-field="color"></label>` : ''}
+            <label class="form-label">Signal <input type="text" class="form-control" data-field="signal" placeholder="e.g. CV IN 1"></label>
+            <label class="form-label">Notes <textarea class="form-control" data-field="notes" rows="2"></textarea></label>
+        `;
+        
+        const defaultColor = part.cap ? `#${part.cap.color.toString(16).padStart(6, '0')}` : '#000000';
+        const values = {
+            label: control.label || '',
+            partId: part.id,
+            rotation: control.rotation || 0,
+            color: control.color || defaultColor,
+            signal: control.signal || '',
+            notes: control.notes || ''
+        };
+        
+        container.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            input.value = values[field];
+            input.addEventListener('change', () => this.updateControlProperty(index, field, input.value));
+        });
+    }
+    
+    updateControlProperty(index, field, value) {
+        const control = this.controls[index];
+        if (!control) return;
+        
+        const updated = { ...control };
+        switch (field) {
+            case 'rotation':
+                // Keep angles in 0–360 so equal rotations compare equal
+                updated.rotation = (((parseFloat(value) || 0) % 360) + 360) % 360;
+                break;
+            
+            case 'partId': {
+                const part = ComponentLibraryService.getPart(value);
+                if (!part) return;
+                updated.partId = part.id;
+                updated.type = part.type;
+                if (!ComponentLibraryService.isColorable(part)) {
+                    delete updated.color;
+                }
+                break;
+            }
+            
+            default:
+                updated[field] = value;
+        }
+        
+        this.applyChange(`Edit ${control.label} ${field}`, ['controls'], () => {
+            this.controls[index] = updated;
+        });
+        this.updatePanelLayout();
+        this.updateControlsList();
+    }
+    
+    runAutoLayout() {
+        const input = document.getElementById('autoLayoutRequirements');
+        const results = document.getElementById('autoLayoutResults');
+        if (!input || !results) return;
+        
+        const { requirements, errors } = AutoLayoutService.parseRequirements(input.value);
+        if (errors.length > 0) {
+            // Parse errors quote the user's text
+            results.replaceChildren(...errors.map(error => {
+                const element = document.createElement('div');
+                element.className = 'auto-layout-error';
+                element.textContent = error;
+                return element;
+            }));
+            return;
+        }
+        
+        const minimum = AutoLayoutService.findMinimumWidth(this.currentModule, requirements);
+        if (!minimum) {
+            results.innerHTML = '<div class="auto-layout-error">These controls do not fit on any panel up to 42HP</div>';
+            return;
+        }
+        
+        // Prefer the current width; fall back to the narrowest panel that fits
+        const current = AutoLayoutService.proposeLayouts(this.currentModule, requirements) || [];
+        const layouts = current.length > 0 ? current : minimum.layouts;
+        
+        results.innerHTML = `
+            <div class="auto-layout-minimum">Minimum width: ${minimum.widthHP}HP</div>
+            ${current.length > 0 ? '' : `<div class="auto-layout-note">Nothing fits in ${this.currentModule.width}HP, showing ${minimum.widthHP}HP layouts</div>`}
+        `;
+        
+        layouts.forEach(layout => {
+            const option = document.createElement('div');
+            option.className = 'auto-layout-option';
+            option.innerHTML = `
+                <span></span>
+                <button class="btn auto-layout-apply">Apply</button>
+            `;
+            option.querySelector('span').textContent =
+                `${layout.description} (${layout.widthHP}HP${layout.warnings.length > 0 ? `, ${layout.warnings.length} warning(s)` : ''})`;
+            option.querySelector('.auto-layout-apply').addEventListener('click', () => this.applyAutoLayout(layout));
+            results.appendChild(option);
+        });
+    }
+    
+    applyAutoLayout(layout) {
+        // Width and controls change together so one undo restores both
+        this.applyChange('Auto layout', ['currentModule', 'controls'], () => {
+            this.currentModule.width = layout.widthHP;
+            this.controls = layout.controls.map(control => ({ ...control }));
+            // Constraints referred to the controls being replaced
+            this.currentModule.constraints = [];
+        });
+        
+        this.selectedControls = [];
+        this.syncModuleInputs();
+        this.updateHPRuler();
+        this.updatePanelLayout();
+        this.updateControlsList();
+    }
+    
+    applyLayoutOperation(label, operation) {
+        if (this.selectedControls.length === 0) return;
+        
+        const widthMm = PanelStandardsService.getPanelDimensions(this.currentModule).actualWidth;
+        this.applyChange(label, ['controls'], () => {
+            this.controls = operation(this.controls, [...this.selectedControls].sort((a, b) => a - b), widthMm);
+            this.solveConstraints(this.selectedControls);
+        });
+        this.updatePanelLayout();
+    }
+    
+    solveConstraints(pinnedIndices = []) {
+        const constraints = this.currentModule.constraints || [];
+        if (constraints.length === 0) {
+            this.unsatisfiedConstraints = [];
+            return;
+        }
+        
+        const { actualWidth: width, height } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const result = ConstraintService.solve(this.controls, constraints, { width, height }, {
+            pinned: pinnedIndices.filter(index => this.controls[index]).map(index => this.controls[index].id)
+        });
+        if (result) {
+            this.controls = result.controls;
+            this.unsatisfiedConstraints = result.unsatisfied;
+        }
+    }
+    
+    addConstraintFromSelection(type) {
+        const selected = this.selectedControls.map(index => this.controls[index]).filter(Boolean);
+        const { actualWidth: width, height } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const position = control => LayoutService.getAbsolutePosition(control, width);
+        let constraints = [];
+        
+        switch (type) {
+            case 'centreX': {
+                // The first selected control is the reference the others centre on
+                if (selected.length < 2) return;
+                const [target, ...others] = selected;
+                constraints = others.map(control => ConstraintService.createConstraint('centreX', {
+                    control: control.id,
+                    target: target.id
+                }));
+                break;
+            }
+            
+            case 'equalSpacing': {
+                if (selected.length < 3) return;
+                const spread = axis => Math.max(...selected.map(c => position(c)[axis])) - Math.min(...selected.map(c => position(c)[axis]));
+                const axis = spread('x') >= spread('y') ? 'x' : 'y';
+                const ordered = [...selected].sort((a, b) => position(a)[axis] - position(b)[axis]);
+                constraints = [ConstraintService.createConstraint('equalSpacing', {
+                    controls: ordered.map(control => control.id),
+                    axis
+                })];
+                break;
+            }
+            
+            case 'edgeDistance': {
+                if (selected.length === 0) return;
+                const edgeInput = document.getElementById('constraintEdge');
+                const distanceInput = document.getElementById('constraintDistance');
+                const edge = edgeInput ? edgeInput.value : 'bottom';
+                // Without a typed distance, keep the first control where it is
+                const first = position(selected[0]);
+                const current = { top: first.y, bottom: height - first.y, left: first.x, right: width - first.x }[edge];
+                const distance = distanceInput && distanceInput.value !== '' ? parseFloat(distanceInput.value) : Math.round(current * 100) / 100;
+                constraints = [ConstraintService.createConstraint('edgeDistance', {
+                    controls: selected.map(control => control.id),
+                    edge,
+                    distance
+                })];
+                break;
+            }
+        }
+        
+        const description = ConstraintService.describe(constraints[0], this.controls);
+        this.applyChange(`Constrain ${description}`, ['currentModule', 'controls'], () => {
+            this.currentModule.constraints = [...(this.currentModule.constraints || []), ...constraints];
+            this.solveConstraints();
+        });
+        this.updatePanelLayout();
+        this.updateControlsList();
+    }
+    
+    removeConstraint(id) {
+        this.applyChange('Remove constraint', ['currentModule'], () => {
+            this.currentModule.constraints = this.currentModule.constraints.filter(constraint => constraint.id !== id);
+        });
+        this.updateConstraintsList();
+    }
+    
+    updateConstraintsList() {
+        const container = document.getElementById('constraintsList');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        (this.currentModule.constraints || []).forEach(constraint => {
+            const item = document.createElement('div');
+            item.className = 'constraint-item';
+            if (this.unsatisfiedConstraints.includes(constraint.id)) {
+                item.classList.add('constraint-item--unsatisfied');
+                item.title = 'This constraint cannot be met with the current layout';
+            }
+            item.innerHTML = `
+                <span></span>
+                <button class="constraint-remove">×</button>
+            `;
+            // Descriptions are built from control labels
+            item.querySelector('span').textContent = ConstraintService.describe(constraint, this.controls);
+            item.querySelector('.constraint-remove').addEventListener('click', () => this.removeConstraint(constraint.id));
+            container.appendChild(item);
+        });
+    }
+    
+    alignSelection(mode) {
+        this.applyLayoutOperation(`Align ${mode}`, (controls, indices, widthMm) =>
+            LayoutService.alignControls(controls, indices, mode, widthMm));
+    }
+    
+    distributeSelection(axis) {
+        this.applyLayoutOperation(`Distribute ${axis === 'x' ? 'horizontally' : 'vertically'}`, (controls, indices, widthMm) =>
+            LayoutService.distributeControls(controls, indices, axis, widthMm));
     }
     
-    updatePanelLayout() {
-        const preview = document.getElementById('panelPreview');
-        if (!preview) return;
-        
-        const widthMm = this.currentModule.width * this.eurorackData.hpUnit;
-        const heightMm = this.currentModule.height;
-        
-        // Set aspect ratio based on actual dimensions
-        const aspectRatio = widthMm / heightMm;
-        preview.style.aspectRatio = aspectRatio;
-        preview.style.minHeight = '200px';
-        
-        // Clear existing controls
-        preview.querySelectorAll('.control-element').forEach(el => el.remove());
-        
-        // Add controls
-        this.controls.forEach((control, index) => {
-            this.addControlToPreview(control, index);
-        });
+    mirrorSelection() {
+        this.applyLayoutOperation('Mirror controls', (controls, indices, widthMm) =>
+            LayoutService.mirrorControls(controls, indices, widthMm));
     }
     
-    setAddControlMode(type) {
-        this.addControlMode = type;
-        const panelPreview = document.getElementById('panelPreview');
-        if (panelPreview) {
-            panelPreview.style.cursor = 'crosshair';
-        }
-        
-        // Update button states
-        document.querySelectorAll('.layout-toolbar .btn').forEach(btn => btn.classList.remove('btn--primary'));
-        if (type === 'knob') {
-            const btn = document.getElementById('addKnob');
-            if (btn) btn.classList.add('btn--primary');
-        } else if (type === 'jack') {
-            const btn = document.getElementById('addJack');
-            if (btn) btn.classList.add('btn--primary');
-        } else if (type === 'switch') {
-            const btn = document.getElementById('addSwitch');
-            if (btn) btn.classList.add('btn--primary');
-        }
+    arraySelection() {
+        const countInput = document.getElementById('arrayCount');
+        const pitchInput = document.getElementById('arrayPitch');
+        const directionInput = document.getElementById('arrayDirection');
+        const count = Math.max(1, parseInt(countInput ? countInput.value : 3) || 1);
+        const pitch = parseFloat(pitchInput ? pitchInput.value : 10) || 10;
+        const axis = directionInput && directionInput.value === 'vertical' ? 'y' : 'x';
+        
+        const firstNew = this.controls.length;
+        this.applyLayoutOperation(`Array ${count} copies`, (controls, indices, widthMm) => [
+            ...controls,
+            ...indices.flatMap(index => LayoutService.arrayControl(controls[index], count, pitch, axis, widthMm))
+        ]);
+        this.setSelection(this.controls.slice(firstNew).map((control, i) => firstNew + i));
     }
     
-    handlePanelClick(e) {
-        if (!this.addControlMode) return;
-        
-        const rect = e.target.getBoundingClientRect();
-        const x = ((e.clientX - rect.left) / rect.width) * 100;
-        const y = ((e.clientY - rect.top) / rect.height) * 100;
-        
-        const control = {
-            type: this.addControlMode,
-            x: x,
-            y: y,
-            label: `${this.addControlMode} ${this.controls.length + 1}`,
-            id: Date.now()
-        };
+    copySelection() {
+        this.controlClipboard = this.selectedControls.map(index => JSON.parse(JSON.stringify(this.controls[index])));
+    }
+    
+    pasteControls() {
+        if (this.controlClipboard.length === 0) return;
         
-        this.controls.push(control);
-        this.addControlToPreview(control, this.controls.length - 1);
-        this.updateControlsList();
+        const widthMm = PanelStandardsService.getPanelDimensions(this.currentModule).actualWidth;
+        const offset = ConfigService.get('layout.pasteOffset', 5);
+        const copies = LayoutService.duplicateControls(this.controlClipboard, { x: offset, y: offset }, widthMm);
         
-        // Reset mode
-        this.addControlMode = null;
-        const panelPreview = document.getElementById('panelPreview');
-        if (panelPreview) {
-            panelPreview.style.cursor = 'default';
-        }
-        document.querySelectorAll('.layout-toolbar .btn').forEach(btn => btn.classList.remove('btn--primary'));
+        const firstNew = this.controls.length;
+        this.applyChange(`Paste ${copies.length} control(s)`, ['controls'], () => {
+            this.controls = [...this.controls, ...copies];
+        });
+        this.selectedControls = copies.map((copy, i) => firstNew + i);
+        this.updatePanelLayout();
     }
     
-    addControlToPreview(control, index) {
+    getControlPositions(widthMm) {
+        return this.controls.map((control, index) => ({
+            index: index,
+            label: control.label,
+            ...LayoutService.getAbsolutePosition(control, widthMm)
+        }));
+    }
+    
+    showDragFeedback(snap, widthMm, heightMm) {
         const preview = document.getElementById('panelPreview');
         if (!preview) return;
         
-        const element = document.createElement('div');
-        element.className = `control-element control-element--${control.type}`;
-        element.style.left = `${control.x}%`;
-        element.style.top = `${control.y}%`;
-        element.title = control.label;
-        element.textContent = control.type === 'knob' ? '⚪' : control.type === 'jack' ? '●' : '▢';
-        element.dataset.index = index;
+        this.clearDragFeedback();
         
-        // Make draggable
-        element.addEventListener('mousedown', (e) => this.startDragControl(e, index));
+        // Alignment guides through the matched control centres
+        snap.guides.forEach(guide => {
+            const line = document.createElement('div');
+            line.className = `alignment-guide alignment-guide--${guide.axis === 'x' ? 'vertical' : 'horizontal'}`;
+            if (guide.axis === 'x') {
+                line.style.left = `${(guide.position / widthMm) * 100}%`;
+            } else {
+                line.style.top = `${(guide.position / heightMm) * 100}%`;
+            }
+            preview.appendChild(line);
+        });
         
-        preview.appendChild(element);
+        // Live position readout next to the dragged control
+        const readout = document.createElement('div');
+        readout.className = 'drag-readout';
+        readout.style.left = `${(snap.x / widthMm) * 100}%`;
+        readout.style.top = `${(snap.y / heightMm) * 100}%`;
+        readout.textContent = `X ${snap.x.toFixed(2)} mm  Y ${snap.y.toFixed(2)} mm` +
+            (snap.nearest ? `  ↔ ${snap.nearest.label}: ${snap.nearest.distance.toFixed(2)} mm` : '');
+        preview.appendChild(readout);
     }
     
-    startDragControl(e, index) {
-        e.preventDefault();
-        const preview = document.getElementById('panelPreview');
-        const element = e.target;
-        
-        const onMouseMove = (e) => {
-            const rect = preview.getBoundingClientRect();
-            const x = Math.max(0, Math.min(100, ((e.clientX - rect.left) / rect.width) * 100));
-            const y = Math.max(0, Math.min(100, ((e.clientY - rect.top) / rect.height) * 100));
-            
-            element.style.left = `${x}%`;
-            element.style.top = `${y}%`;
-            
-            if (this.controls[index]) {
-                this.controls[index].x = x;
-                this.controls[index].y = y;
-            }
-        };
-        
-        const onMouseUp = () => {
-            document.removeEventListener('mousemove', onMouseMove);
-            document.removeEventListener('mouseup', onMouseUp);
-        };
-        
-        document.addEventListener('mousemove', onMouseMove);
-        document.addEventListener('mouseup', onMouseUp);
+    clearDragFeedback() {
+        document.querySelectorAll('#panelPreview .alignment-guide, #panelPreview .drag-readout').forEach(el => el.remove());
     }
     
     clearControls() {
-        this.controls = [];
+        this.applyChange('Clear controls', ['controls', 'currentModule'], () => {
+            this.controls = [];
+            this.currentModule.constraints = [];
+        });
         this.updatePanelLayout();
         this.updateControlsList();
     }
     
+    createViolationElement(violation) {
+        const element = document.createElement('div');
+        element.className = `control-violation control-violation--${violation.severity}`;
+        element.textContent = violation.message;
+        return element;
+    }
+    
     updateControlsList() {
         const container = document.getElementById('controlsList');
         if (!container) return;
@@ -480,20 +1604,23 @@ class EuroRackApp {
         list.className = 'controls-items';
         
         this.controls.forEach((control, index) => {
+            const violations = DesignRuleService.getControlViolations(this.designRuleResult, index);
             const item = document.createElement('div');
             item.className = 'control-item';
+            if (violations.length > 0) {
+                item.classList.add(`control-item--${violations.some(v => v.severity === 'error') ? 'error' : 'warning'}`);
+            }
             item.innerHTML = `
-                <span>${control.label}</span>
+                <span></span>
                 <button class="control-remove" data-index="${index}">×</button>
             `;
+            // Labels and violation messages are user text
+            item.querySelector('span').textContent = control.label;
+            item.append(...violations.map(v => this.createViolationElement(v)));
             
             const removeBtn = item.querySelector('.control-remove');
             if (removeBtn) {
-                removeBtn.addEventListener('click', () => {
-                    this.controls.splice(index, 1);
-                    this.updatePanelLayout();
-                    this.updateControlsList();
-                });
+                removeBtn.addEventListener('click', () => this.removeControls([index]));
             }
             
             list.appendChild(item);
@@ -547,7 +1674,9 @@ class EuroRackApp {
                         data: e.target.result,
                         type: file.type
                     };
-                    this.uploadedImages.push(image);
+                    this.applyChange(`Add image ${file.name}`, ['uploadedImages'], () => {
+                        this.uploadedImages.push(image);
+                    });
                     this.updateImageGallery();
                 };
                 reader.readAsDataURL(file);
@@ -572,7 +1701,9 @@ class EuroRackApp {
             const removeBtn = thumbnail.querySelector('.image-remove');
             if (removeBtn) {
                 removeBtn.addEventListener('click', () => {
-                    this.uploadedImages = this.uploadedImages.filter(img => img.id !== image.id);
+                    this.applyChange(`Remove image ${image.name}`, ['uploadedImages'], () => {
+                        this.uploadedImages = this.uploadedImages.filter(img => img.id !== image.id);
+                    });
                     this.updateImageGallery();
                 });
             }
@@ -729,26 +1860,27 @@ class EuroRackApp {
             this.scene.remove(this.currentModel);
         }
         
-        const widthMm = this.currentModule.width * this.eurorackData.hpUnit;
-        const heightMm = this.currentModule.height;
-        const depthMm = this.currentModule.depth;
+        const panelDimensions = PanelStandardsService.getPanelDimensions(this.currentModule);
+        const widthMm = panelDimensions.actualWidth;
+        const heightMm = panelDimensions.height;
+        const depthMm = DepthStackService.getDepth({ ...this.currentModule, controls: this.controls });
         
         // Create module group
         this.currentModel = new THREE.Group();
         
-        // Main panel
-        const panelGeometry = new THREE.BoxGeometry(widthMm, heightMm, 2);
-        const panelMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
-        const panel = new THREE.Mesh(panelGeometry, panelMaterial);
-        panel.position.z = depthMm / 2 - 1;
-        this.currentModel.add(panel);
+        // Main panel, with real holes so exports print and cut as drawn
+        const panel = PanelModelService.createPanelMesh({ ...this.currentModule, controls: this.controls });
+        if (panel) {
+            panel.position.z = depthMm / 2 - panelDimensions.thickness / 2;
+            this.currentModel.add(panel);
+        }
         
-        // PCB
-        const pcbGeometry = new THREE.BoxGeometry(widthMm - 4, heightMm - 10, 1.6);
-        const pcbMaterial = new THREE.MeshLambertMaterial({ color: 0x0a5d0a });
-        const pcb = new THREE.Mesh(pcbGeometry, pcbMaterial);
-        pcb.position.z = depthMm / 2 - 10;
-        this.currentModel.add(pcb);
+        // PCBs, standoffs and power header behind the panel
+        const stackModel = DepthStackService.createStackModel({ ...this.currentModule, controls: this.controls });
+        if (stackModel) {
+            stackModel.position.z = depthMm / 2 - panelDimensions.thickness;
+            this.currentModel.add(stackModel);
+        }
         
         // Housing
         const housingGeometry = new THREE.BoxGeometry(widthMm, heightMm, depthMm);
@@ -758,11 +1890,13 @@ class EuroRackApp {
             opacity: 0.3 
         });
         const housing = new THREE.Mesh(housingGeometry, housingMaterial);
+        housing.name = 'housing';
+        housing.userData.excludeFromExport = true;
         this.currentModel.add(housing);
         
         // Add controls
-        this.controls.forEach(control => {
-            this.addControlToModel(control, widthMm, heightMm);
+        this.controls.forEach((control, index) => {
+            this.addControlToModel(control, widthMm, heightMm, index);
         });
         
         // Position model
@@ -772,41 +1906,27 @@ class EuroRackApp {
         this.resetCamera();
     }
     
-    addControlToModel(control, widthMm, heightMm) {
+    addControlToModel(control, widthMm, heightMm, index) {
         if (!this.currentModel) return;
         
-        const x = (control.x / 100) * widthMm - widthMm / 2;
-        const y = heightMm / 2 - (control.y / 100) * heightMm;
-        const z = this.currentModule.depth / 2 + 1;
+        const part = ComponentLibraryService.resolvePart(control);
+        if (!part) return;
         
-        let geometry, material, mesh;
-        
-        switch (control.type) {
-            case 'knob':
-                geometry = new THREE.CylinderGeometry(4, 4, 6, 16);
-                material = new THREE.MeshLambertMaterial({ color: 0x666666 });
-                mesh = new THREE.Mesh(geometry, material);
-                mesh.position.set(x, y, z);
-                break;
-                
-            case 'jack':
-                geometry = new THREE.CylinderGeometry(3, 3, 8, 16);
-                material = new THREE.MeshLambertMaterial({ color: 0x000000 });
-                mesh = new THREE.Mesh(geometry, material);
-                mesh.position.set(x, y, z);
-                break;
-                
-            case 'switch':
-                geometry = new THREE.BoxGeometry(6, 12, 4);
-                material = new THREE.MeshLambertMaterial({ color: 0x444444 });
-                mesh = new THREE.Mesh(geometry, material);
-                mesh.position.set(x, y, z);
-                break;
-        }
-        
-        if (mesh) {
-            this.currentModel.add(mesh);
-        }
+        const partModel = ComponentLibraryService.createPartModel(part, {
+            name: `${part.type}_${index + 1}`,
+            panelThickness: PanelStandardsService.getPanelDimensions(this.currentModule).thickness,
+            rotation: control.rotation,
+            color: control.color
+        });
+        if (!partModel) return;
+        
+        // Part origin sits on the panel's front face
+        const position = LayoutService.getAbsolutePosition(control, widthMm);
+        const x = position.x - widthMm / 2;
+        const y = heightMm / 2 - position.y;
+        const z = this.currentModule.depth / 2;
+        partModel.position.set(x, y, z);
+        this.currentModel.add(partModel);
     }
     
     showProgressModal() {
@@ -874,12 +1994,14 @@ class EuroRackApp {
         const overlay = document.getElementById('measurementsOverlay');
         if (!overlay) return;
         
-        const widthMm = this.currentModule.width * this.eurorackData.hpUnit;
+        const panelDimensions = PanelStandardsService.getPanelDimensions(this.currentModule);
         
         overlay.innerHTML = `
             <div><strong>Module Dimensions</strong></div>
-            <div>Width: ${this.currentModule.width} HP (${widthMm.toFixed(2)} mm)</div>
-            <div>Height: ${this.currentModule.height} mm</div>
+            <div>Width: ${this.currentModule.width} HP (${panelDimensions.nominalWidth.toFixed(2)} mm nominal)</div>
+            <div>Panel width: ${panelDimensions.actualWidth.toFixed(2)} mm (${panelDimensions.toleranceProfile} tolerances)</div>
+            <div>Height: ${panelDimensions.height} mm (${PanelStandardsService.getFormat(this.currentModule).label})</div>
+            <div>Panel thickness: ${panelDimensions.thickness} mm</div>
             <div>Depth: ${this.currentModule.depth} mm</div>
             <div>Controls: ${this.controls.length}</div>
             <div>Power: +12V: ${this.currentModule.powerDraw['+12V']}mA, -12V: ${this.currentModule.powerDraw['-12V']}mA</div>
@@ -926,67 +2048,161 @@ class EuroRackApp {
             return;
         }
         
-        let data, filename, mimeType;
+        if (!this.canExportModule()) return;
+        
+        // The design-rule check and its override were handled above
+        const result = ExportService.exportModel(this.currentModel, format, {
+            ...this.getExportOptions(format),
+            name: this.currentModule.name || 'module',
+            ignoreDesignRules: true
+        });
+        if (!result) return;
         
+        this.downloadFile(result.data, result.filename, result.mimeType);
+        result.extraFiles.forEach(file => this.downloadFile(file.data, file.filename, file.mimeType));
+    }
+    
+    getExportOptions(format) {
         switch (format) {
-            case 'stl':
-                data = this.generateSTLData();
-                filename = `${this.currentModule.name || 'module'}.stl`;
-                mimeType = 'application/octet-stream';
-                break;
-                
-            case 'obj':
-                data = this.generateOBJData();
-                filename = `${this.currentModule.name || 'module'}.obj`;
-                mimeType = 'text/plain';
-                break;
+            case 'obj': {
+                const widthMm = PanelStandardsService.getPanelDimensions(this.currentModule).actualWidth;
+                return {
+                    comments: [
+                        `Eurorack Module: ${this.currentModule.name}`,
+                        `Dimensions: ${this.currentModule.width}HP (${widthMm}mm) x ${this.currentModule.height}mm x ${this.currentModule.depth}mm`
+                    ]
+                };
+            }
                 
             case 'glb':
-                data = this.generateGLBData();
-                filename = `${this.currentModule.name || 'module'}.glb`;
-                mimeType = 'application/octet-stream';
+                return {
+                    extras: {
+                        module: {
+                            name: this.currentModule.name,
+                            widthHP: this.currentModule.width,
+                            heightMm: this.currentModule.height,
+                            depthMm: this.currentModule.depth,
+                            powerDraw: this.currentModule.powerDraw
+                        }
+                    }
+                };
+                
+            case '3mf':
+                return {
+                    module: {
+                        name: this.currentModule.name,
+                        widthHP: this.currentModule.width,
+                        heightMm: this.currentModule.height,
+                        depthMm: this.currentModule.depth
+                    }
+                };
+                
+            default:
+                return {};
+        }
+    }
+    
+    exportPanelDrawing(format) {
+        if (!this.canExportModule()) return;
+        
+        const moduleSpec = { ...this.currentModule, controls: this.controls };
+        const baseName = this.currentModule.name || 'module';
+        
+        switch (format) {
+            case 'dxf': {
+                const data = PanelDrawingService.exportDXF(moduleSpec);
+                if (data) {
+                    this.downloadFile(data, `${baseName}_panel.dxf`, 'application/dxf');
+                }
+                break;
+            }
+            
+            case 'svg': {
+                const data = PanelDrawingService.exportSVG(moduleSpec);
+                if (data) {
+                    this.downloadFile(data, `${baseName}_panel.svg`, 'image/svg+xml');
+                }
                 break;
+            }
+        }
+    }
+    
+    exportBOM() {
+        try {
+            const data = ModuleDesignService.exportModule({ ...this.currentModule, controls: this.controls }, 'bom');
+            this.downloadFile(data, `${this.currentModule.name || 'module'}_bom.csv`, 'text/csv');
+        } catch (error) {
+            alert(`Cannot export bill of materials: ${error.message}`);
         }
+    }
+    
+    getPrintOptions() {
+        const number = id => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return Number.isFinite(value) ? value : undefined;
+        };
+        const checked = id => {
+            const input = document.getElementById(id);
+            return input ? input.checked : undefined;
+        };
         
-        this.downloadFile(data, filename, mimeType);
-    }
-    
-    generateSTLData() {
-        const widthMm = this.currentModule.width * this.eurorackData.hpUnit;
-        return `solid ${this.currentModule.name || 'module'}
-facet normal 0 0 1
-  outer loop
-    vertex 0 0 0
-    vertex ${widthMm} 0 0
-    vertex ${widthMm} ${this.currentModule.height} 0
-  endloop
-endfacet
-facet normal 0 0 1
-  outer loop
-    vertex 0 0 0
-    vertex ${widthMm} ${this.currentModule.height} 0
-    vertex 0 ${this.currentModule.height} 0
-  endloop
-endfacet
-endsolid ${this.currentModule.name || 'module'}`;
-    }
-    
-    generateOBJData() {
-        const widthMm = this.currentModule.width * this.eurorackData.hpUnit;
-        return `# Eurorack Module: ${this.currentModule.name}
-# Generated by EuroRack 3D Modeler
-# Dimensions: ${this.currentModule.width}HP (${widthMm}mm) x ${this.currentModule.height}mm x ${this.currentModule.depth}mm
-
-v 0.0 0.0 0.0
-v ${widthMm} 0.0 0.0
-v ${widthMm} ${this.currentModule.height} 0.0
-v 0.0 ${this.currentModule.height} 0.0
-
-f 1 2 3 4`;
+        return {
+            thickness: number('printThickness'),
+            holeCompensation: number('printHoleCompensation'),
+            chamfer: number('printChamfer'),
+            ribs: checked('printRibs'),
+            legends: checked('printLegends')
+        };
     }
     
-    generateGLBData() {
-        return 'GLB_BINARY_DATA_PLACEHOLDER_FOR_' + (this.currentModule.name || 'module').toUpperCase();
+    loadLegendFont() {
+        if (!this.legendFontRequest) {
+            this.legendFontRequest = new Promise((resolve, reject) => {
+                new THREE.FontLoader().load(ConfigService.get('print.legendFont'), resolve, undefined, reject);
+            }).catch(error => {
+                // Let the next export try again
+                this.legendFontRequest = null;
+                throw error;
+            });
+        }
+        return this.legendFontRequest;
+    }
+    
+    async exportPrintablePanel() {
+        if (!this.canExportModule()) return;
+        
+        const options = this.getPrintOptions();
+        const legends = options.legends ?? ConfigService.get('print.legends', true);
+        let font = null;
+        if (legends) {
+            try {
+                font = await this.loadLegendFont();
+            } catch (error) {
+                console.warn('Legend font could not be loaded:', error);
+            }
+        }
+        
+        const printable = ModuleDesignService.createPrintablePanel(
+            { ...this.currentModule, controls: this.controls },
+            { ...options, font }
+        );
+        if (!printable) {
+            alert('Cannot build the printable panel. Check the print settings.');
+            return;
+        }
+        
+        const result = ExportService.exportModel(printable, 'stl', {
+            name: `${this.currentModule.name || 'module'} panel print`,
+            ignoreDesignRules: true
+        });
+        if (!result) return;
+        this.downloadFile(result.data, result.filename, result.mimeType);
+        
+        const warnings = printable.userData.print.warnings;
+        if (warnings.length > 0) {
+            alert(`Printable panel exported with warnings:\n${warnings.join('\n')}`);
+        }
     }
     
     screenshotModel() {
@@ -1029,44 +2245,179 @@ f 1 2 3 4`;
             return;
         }
         
-        const module = { ...this.currentModule };
+        const module = JSON.parse(JSON.stringify(this.currentModule));
         module.id = Date.now();
-        module.controls = [...this.controls];
+        module.controls = JSON.parse(JSON.stringify(this.controls));
+        
+        // Store module data
+        this.applyChange(`Add ${module.name || 'module'} to rack`, ['rackModules'], () => {
+            this.rackModules.push(module);
+        });
+        this.renderModuleLibrary();
+    }
+    
+    renderModuleLibrary() {
+        const library = document.getElementById('moduleLibrary');
+        if (!library) return;
         
-        const libraryItem = document.createElement('div');
-        libraryItem.className = 'library-module';
-        libraryItem.draggable = true;
-        libraryItem.dataset.moduleId = module.id;
+        library.querySelectorAll('.library-module').forEach(el => el.remove());
         
-        const widthMm = module.width * this.eurorackData.hpUnit;
+        const empty = library.querySelector('.library-empty');
+        if (empty) empty.style.display = this.rackModules.length === 0 ? 'block' : 'none';
         
-        libraryItem.innerHTML = `
-            <div class="library-module-name">${module.name || 'Untitled Module'}</div>
-            <div class="library-module-specs">
-                ${module.width}HP (${widthMm.toFixed(1)}mm) × ${module.height}mm × ${module.depth}mm<br>
-                Power: +12V: ${module.powerDraw['+12V']}mA, -12V: ${module.powerDraw['-12V']}mA
-            </div>
-        `;
+        this.rackModules.forEach(module => {
+            const libraryItem = document.createElement('div');
+            libraryItem.className = 'library-module';
+            libraryItem.dataset.moduleId = module.id;
+            
+            const widthMm = module.width * this.eurorackData.hpUnit;
+            
+            libraryItem.innerHTML = `
+                <div class="library-module-name"></div>
+                <div class="library-module-specs">
+                    ${module.width}HP (${widthMm.toFixed(1)}mm) × ${module.height}mm × ${module.depth}mm<br>
+                    Power: +12V: ${module.powerDraw['+12V']}mA, -12V: ${module.powerDraw['-12V']}mA
+                </div>
+            `;
+            libraryItem.querySelector('.library-module-name').textContent = module.name || 'Untitled Module';
+            
+            // Pointer drags work for mouse, pen and touch alike
+            libraryItem.style.touchAction = 'none';
+            libraryItem.addEventListener('pointerdown', (e) => this.startDragRackModule(e, module.id));
+            
+            library.appendChild(libraryItem);
+        });
+        
+        this.renderRackView();
+    }
+    
+    renderRackView() {
+        const rackView = document.getElementById('rackView');
+        if (!rackView) return;
         
-        libraryItem.addEventListener('dragstart', (e) => {
-            e.dataTransfer.setData('text/plain', module.id);
+        rackView.querySelectorAll('.rack-module').forEach(el => el.remove());
+        
+        const plan = ModuleDesignService.planRack(this.rackModules, {
+            widthHP: this.currentRackSize,
+            rows: this.currentRackRows
+        });
+        
+        // One pixel per millimetre, matching updateRackGrid
+        let rowTop = 0;
+        plan.rows.forEach(row => {
+            row.modules.forEach(({ module, offsetHP }) => {
+                const element = document.createElement('div');
+                element.className = 'rack-module';
+                element.dataset.moduleId = module.id;
+                element.style.left = `${offsetHP * this.eurorackData.hpUnit}px`;
+                element.style.top = `${rowTop}px`;
+                element.style.width = `${module.width * this.eurorackData.hpUnit}px`;
+                element.style.height = `${module.height}px`;
+                element.style.touchAction = 'none';
+                element.textContent = module.name || 'Untitled Module';
+                element.addEventListener('pointerdown', (e) => this.startDragRackModule(e, module.id));
+                rackView.appendChild(element);
+            });
+            rowTop += PanelStandardsService.getFormat({ format: row.format }).rowHeight;
         });
+    }
+    
+    startDragRackModule(e, moduleId) {
+        e.preventDefault();
+        
+        const ghost = e.currentTarget.cloneNode(true);
+        ghost.classList.add('rack-drag-ghost');
+        ghost.style.position = 'fixed';
+        ghost.style.pointerEvents = 'none';
+        document.body.appendChild(ghost);
         
+        const moveGhost = (event) => {
+            ghost.style.left = `${event.clientX}px`;
+            ghost.style.top = `${event.clientY}px`;
+        };
+        moveGhost(e);
+        
+        this.trackPointer(e, moveGhost, (event) => {
+            ghost.remove();
+            if (event.clientX === undefined || event.type === 'pointercancel') return;
+            this.placeRackModule(moduleId, document.elementFromPoint(event.clientX, event.clientY));
+        });
+    }
+    
+    placeRackModule(moduleId, target) {
+        const rackView = document.getElementById('rackView');
         const library = document.getElementById('moduleLibrary');
-        if (library) {
-            const empty = library.querySelector('.library-empty');
-            if (empty) empty.style.display = 'none';
-            
-            library.appendChild(libraryItem);
-        }
+        if (!target || !((rackView && rackView.contains(target)) || (library && library.contains(target)))) return;
+        
+        // Rack order is placement order: dropping on a module takes its place,
+        // dropping on empty rack space moves the module to the end
+        const from = this.rackModules.findIndex(module => String(module.id) === String(moduleId));
+        const targetElement = target.closest('[data-module-id]');
+        const to = targetElement
+            ? this.rackModules.findIndex(module => String(module.id) === targetElement.dataset.moduleId)
+            : this.rackModules.length - 1;
+        if (from === -1 || to === -1 || from === to) return;
+        
+        const name = this.rackModules[from].name || 'module';
+        this.applyChange(`Place ${name} in rack`, ['rackModules'], () => {
+            const [module] = this.rackModules.splice(from, 1);
+            this.rackModules.splice(to, 0, module);
+        });
+        this.renderModuleLibrary();
+    }
+    
+    captureState(keys) {
+        // Deep copies so later edits cannot reach into recorded history
+        return keys.reduce((state, key) => {
+            state[key] = JSON.parse(JSON.stringify(this[key]));
+            return state;
+        }, {});
+    }
+    
+    restoreState(state) {
+        Object.keys(state).forEach(key => {
+            this[key] = JSON.parse(JSON.stringify(state[key]));
+        });
         
-        // Store module data
-        this.rackModules.push(module);
+        this.syncModuleInputs();
+        this.updateHPRuler();
+        this.updatePanelLayout();
+        this.updateMeasurements();
+        this.updateImageGallery();
+        this.renderModuleLibrary();
+    }
+    
+    applyChange(label, keys, mutate, options = {}) {
+        const before = this.captureState(keys);
+        mutate();
+        this.recordChange(label, before, this.captureState(keys), options);
+    }
+    
+    recordChange(label, before, after, options = {}) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        HistoryService.record({
+            label: label,
+            mergeKey: options.mergeKey || null,
+            execute: () => this.restoreState(after),
+            undo: () => this.restoreState(before)
+        });
     }
     
     exportRack() {
+        const plan = ModuleDesignService.planRack(this.rackModules, {
+            widthHP: this.currentRackSize,
+            rows: this.currentRackRows
+        });
+        
         const rackData = {
             size: this.currentRackSize,
+            rows: plan.rows.map(row => ({
+                format: row.format,
+                usedHP: row.usedHP,
+                modules: row.modules.map(({ module, offsetHP }) => ({ name: module.name, offsetHP }))
+            })),
+            unplaced: plan.unplaced.map(({ module, reason }) => ({ name: module.name, reason })),
             modules: this.rackModules,
             powerConsumption: this.calculateTotalPower(),
             exportDate: new Date().toISOString()
@@ -1076,6 +2427,30 @@ f 1 2 3 4`;
         this.downloadFile(data, 'eurorack_configuration.json', 'application/json');
     }
     
+    exportRackGLB() {
+        if (this.rackModules.length === 0) {
+            alert('Add modules to the rack before exporting.');
+            return;
+        }
+        
+        const rackModel = ModuleDesignService.createRack3DModel(this.rackModules, {
+            name: `rack_${this.currentRackSize}HP`,
+            widthHP: this.currentRackSize,
+            rows: this.currentRackRows
+        });
+        if (!rackModel) return;
+        
+        const unplaced = rackModel.userData.rack.unplaced;
+        if (unplaced.length > 0) {
+            alert(`Some modules were left out of the rack:\n${unplaced.map(item => `${item.name}: ${item.reason}`).join('\n')}`);
+        }
+        
+        const data = ExportService.exportGLB(rackModel, {
+            extras: { powerConsumption: this.calculateTotalPower() }
+        });
+        this.downloadFile(data, `eurorack_${this.currentRackSize}HP.glb`, 'model/gltf-binary');
+    }
+    
     calculateTotalPower() {
         return this.rackModules.reduce((total, module) => {
             total['+12V'] += module.powerDraw['+12V'] || 0;
@@ -1093,7 +2468,8 @@ f 1 2 3 4`;
             uploadedImages: this.uploadedImages,
             rackModules: this.rackModules,
             rackSize: this.currentRackSize,
-            version: '1.0',
+            rackRows: this.currentRackRows,
+            version: '1.1',
             saveDate: new Date().toISOString()
         };
         
@@ -1124,25 +2500,87 @@ f 1 2 3 4`;
     }
     
     loadProjectData(project) {
-        this.currentModule = project.currentModule || this.getDefaultModule();
-        this.controls = project.controls || [];
+        this.currentModule = { ...this.getDefaultModule(), ...(project.currentModule || {}) };
+        
+        // Projects before 1.1 stored control positions as panel percentages
+        const { actualWidth, height } = PanelStandardsService.getPanelDimensions(this.currentModule);
+        this.controls = LayoutService.migrateControls(project.controls, { width: actualWidth, height });
         this.uploadedImages = project.uploadedImages || [];
         this.rackModules = project.rackModules || [];
         this.currentRackSize = project.rackSize || 104;
+        this.currentRackRows = project.rackRows || ['eurorack-3u'];
         
         // Update UI
+        this.syncModuleInputs();
+        
+        const rackSize = document.getElementById('rackSize');
+        if (rackSize) rackSize.value = this.currentRackSize;
+        
+        const rackRows = document.getElementById('rackRows');
+        if (rackRows) rackRows.value = this.currentRackRows.join(',');
+        
+        this.updateHPRuler();
+        this.updatePanelLayout();
+        this.updateControlsList();
+        this.updateImageGallery();
+        this.updateRackGrid();
+        this.renderModuleLibrary();
+        
+        // A loaded project starts with a fresh history
+        HistoryService.clear();
+        
+        alert('Project loaded successfully!');
+    }
+    
+    syncModuleInputs() {
         const moduleName = document.getElementById('moduleName');
         if (moduleName) moduleName.value = this.currentModule.name || '';
         
         const moduleWidth = document.getElementById('moduleWidth');
         if (moduleWidth) moduleWidth.value = this.currentModule.width;
         
+        const moduleFormat = document.getElementById('moduleFormat');
+        if (moduleFormat) moduleFormat.value = PanelStandardsService.getFormat(this.currentModule).id;
+        
         const moduleHeight = document.getElementById('moduleHeight');
         if (moduleHeight) moduleHeight.value = this.currentModule.height;
         
         const moduleDepth = document.getElementById('moduleDepth');
         if (moduleDepth) moduleDepth.value = this.currentModule.depth;
         
+        const pcbs = (this.currentModule.stack && this.currentModule.stack.pcbs) || [{}];
+        const pcbCount = document.getElementById('pcbCount');
+        if (pcbCount) pcbCount.value = pcbs.length;
+        
+        const pcbSpacing = document.getElementById('pcbSpacing');
+        if (pcbSpacing) pcbSpacing.value = pcbs.length > 1 && pcbs[1].spacing !== undefined ? pcbs[1].spacing : '';
+        
+        // Show where the header ends up, defaults included
+        const stack = DepthStackService.getStack({ ...this.currentModule, controls: this.controls });
+        const header = stack.powerHeader;
+        const powerHeaderPins = document.getElementById('powerHeaderPins');
+        if (powerHeaderPins) powerHeaderPins.value = header.pins;
+        
+        const powerHeaderOrientation = document.getElementById('powerHeaderOrientation');
+        if (powerHeaderOrientation) powerHeaderOrientation.value = header.orientation;
+        
+        const powerHeaderStripe = document.getElementById('powerHeaderStripe');
+        if (powerHeaderStripe) {
+            powerHeaderStripe.innerHTML = (header.orientation === 'vertical' ? ['bottom', 'top'] : ['left', 'right'])
+                .map(side => `<option value="${side}">-12V ${side}</option>`)
+                .join('');
+            powerHeaderStripe.value = header.stripe;
+        }
+        
+        const powerHeaderX = document.getElementById('powerHeaderX');
+        if (powerHeaderX) powerHeaderX.value = Math.round(header.x * 10) / 10;
+        
+        const powerHeaderY = document.getElementById('powerHeaderY');
+        if (powerHeaderY) powerHeaderY.value = Math.round(header.y * 10) / 10;
+        
+        const caseDepth = document.getElementById('caseDepth');
+        if (caseDepth) caseDepth.value = stack.caseDepth;
+
         const power12V = document.getElementById('power12V');
         if (power12V) power12V.value = this.currentModule.powerDraw['+12V'];
         
@@ -1152,16 +2590,8 @@ f 1 2 3 4`;
         const power5V = document.getElementById('power5V');
         if (power5V) power5V.value = this.currentModule.powerDraw['+5V'];
         
-        const rackSize = document.getElementById('rackSize');
-        if (rackSize) rackSize.value = this.currentRackSize;
-        
-        this.updateHPRuler();
-        this.updatePanelLayout();
-        this.updateControlsList();
-        this.updateImageGallery();
-        this.updateRackGrid();
-        
-        alert('Project loaded successfully!');
+        const mountingHoleStyle = document.getElementById('mountingHoleStyle');
+        if (mountingHoleStyle) mountingHoleStyle.value = this.currentModule.mountingHoleStyle || 'round';
     }
 }
 
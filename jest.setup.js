@@ -0,0 +1,4 @@
+// The services use THREE as a global, as index.html loads it from the CDN
+import * as THREE from 'three';
+
+globalThis.THREE = THREE;
@@ -2,6 +2,8 @@ import ErrorService from './ErrorService.js';
 import ConfigService from './ConfigService.js';
 import FileUploadService from './FileUploadService.js';
 import ModuleDesignService from './ModuleDesignService.js';
+import ExportService from './ExportService.js';
+import PanelStandardsService from './PanelStandardsService.js';
 
 class AIGenerationService {
     constructor() {
@@ -389,18 +391,25 @@ class AIGenerationService {
      * @returns {Object} Validation results
      */
     validateEurorackCompliance(model) {
+        const mountingHoles = PanelStandardsService.validateMountingHoles(model);
+        const format = PanelStandardsService.getFormat(model);
+        const { heightRange, depthRange } = format;
         const complianceChecks = {
             widthInHP: {
                 passed: model.width >= 2 && model.width <= 42,
                 message: 'Width must be between 2 and 42 HP'
             },
             height: {
-                passed: model.height >= 100 && model.height <= 150,
-                message: 'Height must be between 100mm and 150mm'
+                passed: model.height >= heightRange.min && model.height <= heightRange.max,
+                message: `Height must be between ${heightRange.min}mm and ${heightRange.max}mm for ${format.label}`
             },
             depth: {
-                passed: model.depth >= 20 && model.depth <= 45,
-                message: 'Depth must be between 20mm and 45mm'
+                passed: model.depth >= depthRange.min && model.depth <= depthRange.max,
+                message: `Depth must be between ${depthRange.min}mm and ${depthRange.max}mm for ${format.label}`
+            },
+            mountingHoles: {
+                passed: mountingHoles.isValid,
+                message: mountingHoles.errors.join(', ') || 'Mounting holes must sit inside the rail zones'
             }
         };
 
@@ -412,36 +421,13 @@ class AIGenerationService {
 
     /**
      * Export generated model
-     * @param {Object} model - Model to export
-     * @param {string} format - Export format (stl, obj, glb)
-     * @returns {Promise<string>} Exported model data
+     * @param {THREE.Group} model - Model to export
+     * @param {string} format - Export format (stl, obj, glb, 3mf)
+     * @param {Object} options - Format specific export options
+     * @returns {Promise<Object|null>} Export result with data, filename and mimeType
      */
-    async exportModel(model, format = 'stl') {
-        try {
-            // Simulate model export
-            return new Promise((resolve, reject) => {
-                setTimeout(() => {
-                    // In a real implementation, this would use a proper 3D export library
-                    const exportFormats = ['stl', 'obj', 'glb'];
-                    
-                    if (!exportFormats.includes(format)) {
-                        reject(new Error(`Unsupported export format: ${format}`));
-                        return;
-                    }
-
-                    // Mock export data
-                    const mockExportData = `${format.toUpperCase()} model export data for ${model.name}`;
-                    resolve(mockExportData);
-                }, 1000);
-            });
-        } catch (error) {
-            ErrorService.handleError(error, { 
-                context: 'Model Export', 
-                model: model, 
-                format: format 
-            });
-            return null;
-        }
+    async exportModel(model, format = 'stl', options = {}) {
+        return ExportService.exportModel(model, format, options);
     }
 }
 
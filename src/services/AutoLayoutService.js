@@ -0,0 +1,271 @@
+import ErrorService from './ErrorService.js';
+import ConfigService from './ConfigService.js';
+import PanelStandardsService from './PanelStandardsService.js';
+import ComponentLibraryService from './ComponentLibraryService.js';
+import DesignRuleService from './DesignRuleService.js';
+import LayoutService from './LayoutService.js';
+
+class AutoLayoutService {
+    constructor() {
+        // Conventional top-to-bottom order on a panel: big controls up top, patch points at the bottom
+        this._typeOrder = ['display', 'knob', 'pot', 'slider', 'switch', 'button', 'led', 'jack'];
+
+        // Placement strategies, tried in this order
+        this._strategies = {
+            grouped: 'Each group on its own rows',
+            conventional: 'Controls on top, jacks at the bottom',
+            compact: 'Rows filled in list order'
+        };
+
+        this._maxWidthHP = 42;
+    }
+
+    /**
+     * Parse a required-controls list. Each line is a group; items on a line
+     * are comma-separated counts and part types or part IDs, e.g.
+     * "4 pot, 2 jack" or "1 thonkiconn-pj398sm". Plurals are accepted.
+     * @param {string} text - Controls list
+     * @returns {Object} Requirements ({ partId, count, group }) and errors
+     */
+    parseRequirements(text) {
+        const requirements = [];
+        const errors = [];
+
+        String(text || '').split(/\n|;/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .forEach((line, group) => {
+                line.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+                    const match = item.match(/^(\d+)\s*[x×]?\s+(.+)$/i);
+                    const count = match ? parseInt(match[1]) : 1;
+                    const name = (match ? match[2] : item).trim().toLowerCase();
+
+                    const part = ComponentLibraryService.getPart(name) ||
+                        ComponentLibraryService.resolvePart({ type: name }) ||
+                        ComponentLibraryService.resolvePart({ type: name.replace(/e?s$/, '') });
+                    if (!part) {
+                        errors.push(`Unknown control: ${item}`);
+                    } else if (count > 0) {
+                        requirements.push({ partId: part.id, count, group });
+                    }
+                });
+            });
+
+        if (requirements.length === 0 && errors.length === 0) {
+            errors.push('List at least one control');
+        }
+
+        return { requirements, errors };
+    }
+
+    /**
+     * Propose legal layouts for a list of required controls on a module's panel.
+     * Every proposal passes the design-rule check (warnings are allowed);
+     * power header errors do not count against a layout.
+     * @param {Object} moduleSpec - Module specification (width, format, height)
+     * @param {Array<Object>} requirements - Required controls ({ partId or type, count, group })
+     * @returns {Array<Object>|null} Layouts with strategy, description, widthHP, controls and warnings
+     */
+    proposeLayouts(moduleSpec, requirements) {
+        try {
+            const items = this._expandRequirements(requirements);
+            const layouts = [];
+            const seen = new Set();
+
+            Object.entries(this._strategies).forEach(([strategy, description]) => {
+                const controls = this._placeControls(moduleSpec, this._orderItems(items, strategy));
+                if (!controls) return;
+
+                // Power header problems come from the stack, not the controls,
+                // and are left to the module's own design-rule check
+                const designRules = DesignRuleService.checkModule({ ...moduleSpec, controls });
+                if (!designRules) return;
+                const blocked = designRules.violations.some(violation =>
+                    violation.severity === 'error' && violation.rule !== 'powerHeader');
+                if (blocked) return;
+
+                // Strategies often agree on small modules; keep each layout once
+                const key = JSON.stringify(controls.map(control => [control.partId, control.x, control.y]));
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                layouts.push({
+                    strategy,
+                    description,
+                    widthHP: moduleSpec.width,
+                    controls,
+                    warnings: designRules.warnings
+                });
+            });
+
+            return layouts;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Auto Layout',
+                requirements: requirements
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Find the narrowest panel that fits the required controls
+     * @param {Object} moduleSpec - Module specification (format, height)
+     * @param {Array<Object>} requirements - Required controls
+     * @param {Object} options - Search options
+     * @param {number} options.maxWidthHP - Widest panel to try (default 42HP)
+     * @returns {Object|null} Minimum widthHP and its layouts, or null if nothing fits
+     */
+    findMinimumWidth(moduleSpec, requirements, options = {}) {
+        const maxWidthHP = options.maxWidthHP || this._maxWidthHP;
+
+        for (let widthHP = 2; widthHP <= maxWidthHP; widthHP++) {
+            const layouts = this.proposeLayouts({ ...moduleSpec, width: widthHP }, requirements);
+            if (layouts === null) return null;
+            if (layouts.length > 0) {
+                return { widthHP, layouts };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * One item per control, resolved to its part and labelled "<type> <n>"
+     * @param {Array<Object>} requirements - Required controls
+     * @returns {Array<Object>} Items with part, group, label and list order
+     * @private
+     */
+    _expandRequirements(requirements) {
+        const typeCounts = {};
+        const items = [];
+
+        requirements.forEach((requirement, index) => {
+            const part = ComponentLibraryService.resolvePart(requirement);
+            if (!part) {
+                throw new Error(`Unknown control part: ${requirement.partId || requirement.type}`);
+            }
+
+            for (let i = 0; i < (requirement.count || 1); i++) {
+                typeCounts[part.type] = (typeCounts[part.type] || 0) + 1;
+                items.push({
+                    part,
+                    group: requirement.group ?? index,
+                    label: `${requirement.label || part.type} ${typeCounts[part.type]}`,
+                    order: items.length
+                });
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * Sort items for a strategy and mark where a new row must start
+     * @param {Array<Object>} items - Expanded items
+     * @param {string} strategy - Strategy name
+     * @returns {Array<Object>} Items with a rowBreak flag
+     * @private
+     */
+    _orderItems(items, strategy) {
+        const typeRank = item => {
+            const rank = this._typeOrder.indexOf(item.part.type);
+            return rank === -1 ? this._typeOrder.length : rank;
+        };
+
+        const ordered = strategy === 'conventional'
+            ? [...items].sort((a, b) => typeRank(a) - typeRank(b) || a.order - b.order)
+            : [...items].sort((a, b) => (strategy === 'grouped' ? a.group - b.group : 0) || a.order - b.order);
+
+        return ordered.map((item, index) => {
+            const previous = ordered[index - 1];
+            const rowBreak = Boolean(previous) && (
+                (strategy === 'grouped' && previous.group !== item.group) ||
+                (strategy === 'conventional' && previous.part.type !== item.part.type)
+            );
+            return { ...item, rowBreak };
+        });
+    }
+
+    /**
+     * Pack items into rows across the panel and spread the rows between
+     * the rail zones. Spare room is shared evenly between cells and rows.
+     * @param {Object} moduleSpec - Module specification
+     * @param {Array<Object>} items - Ordered items
+     * @returns {Array<Object>|null} Millimetre controls, or null if they do not fit
+     * @private
+     */
+    _placeControls(moduleSpec, items) {
+        const { actualWidth: width, height } = PanelStandardsService.getPanelDimensions(moduleSpec);
+        const railZone = PanelStandardsService.getFormat(moduleSpec).railZone;
+
+        const rows = [];
+        items.forEach(item => {
+            const cell = this._cellSize(item.part);
+            const row = rows[rows.length - 1];
+            const rowWidth = row ? row.cells.reduce((sum, entry) => sum + entry.cell.width, 0) : 0;
+
+            if (!row || item.rowBreak || rowWidth + cell.width > width) {
+                rows.push({ cells: [{ item, cell }] });
+            } else {
+                row.cells.push({ item, cell });
+            }
+        });
+
+        if (rows.some(row => row.cells.reduce((sum, entry) => sum + entry.cell.width, 0) > width)) return null;
+
+        const rowHeights = rows.map(row => Math.max(...row.cells.map(entry => entry.cell.height)));
+        const bandHeight = height - 2 * railZone;
+        const spareHeight = bandHeight - rowHeights.reduce((sum, rowHeight) => sum + rowHeight, 0);
+        if (spareHeight < 0) return null;
+
+        const rowGap = spareHeight / (rows.length + 1);
+        const controls = [];
+        let top = railZone + rowGap;
+
+        rows.forEach((row, rowIndex) => {
+            const y = top + rowHeights[rowIndex] / 2;
+            const usedWidth = row.cells.reduce((sum, entry) => sum + entry.cell.width, 0);
+            const cellGap = (width - usedWidth) / (row.cells.length + 1);
+            let left = cellGap;
+
+            row.cells.forEach(({ item, cell }) => {
+                const x = left + cell.width / 2;
+                controls.push(LayoutService.setAbsolutePosition({
+                    type: item.part.type,
+                    partId: item.part.id,
+                    anchor: LayoutService.getAnchorForPosition(x, width),
+                    label: item.label,
+                    id: LayoutService.createControlId()
+                }, x, y, width));
+                left += cell.width + cellGap;
+            });
+
+            top += rowHeights[rowIndex] + rowGap;
+        });
+
+        return controls;
+    }
+
+    /**
+     * Room a part needs: its widest footprint (hole, cap or body) plus the
+     * clearance the design rules ask for. Knobs keep finger room.
+     * @param {Object} part - Resolved part
+     * @returns {Object} Cell width and height in mm
+     * @private
+     */
+    _cellSize(part) {
+        const gap = part.type === 'knob'
+            ? ConfigService.get('designRules.minFingerSpacing', 4)
+            : ConfigService.get('designRules.minHoleWeb', 1.5);
+        const shapes = [part.panelHole, part.cap, part.body].filter(Boolean);
+
+        return {
+            width: Math.max(...shapes.map(shape => shape.diameter || shape.width)) + gap,
+            height: Math.max(...shapes.map(shape => shape.diameter || shape.height)) + gap
+        };
+    }
+}
+
+// Singleton export
+export default new AutoLayoutService();
@@ -0,0 +1,56 @@
+import AutoLayoutService from './AutoLayoutService.js';
+import DesignRuleService from './DesignRuleService.js';
+
+describe('parseRequirements', () => {
+    test('reads counts, plurals and one group per line', () => {
+        const { requirements, errors } = AutoLayoutService.parseRequirements('2 knobs, 1 led\n4 x jack');
+
+        expect(errors).toEqual([]);
+        expect(requirements).toEqual([
+            { partId: 'davies-1900h', count: 2, group: 0 },
+            { partId: 'led-3mm', count: 1, group: 0 },
+            { partId: 'thonkiconn-pj398sm', count: 4, group: 1 }
+        ]);
+    });
+
+    test('reports unknown controls and empty lists', () => {
+        expect(AutoLayoutService.parseRequirements('1 jack, 2 bananas').errors).toEqual(['Unknown control: 2 bananas']);
+        expect(AutoLayoutService.parseRequirements('  \n ').errors).toEqual(['List at least one control']);
+    });
+});
+
+describe('findMinimumWidth', () => {
+    const { requirements } = AutoLayoutService.parseRequirements('2 knobs\n4 jacks');
+
+    test('returns the narrowest width with layouts that pass the design-rule check', () => {
+        const result = AutoLayoutService.findMinimumWidth({ name: 'Test' }, requirements);
+
+        expect(result.widthHP).toBe(5);
+        expect(result.layouts.length).toBeGreaterThan(0);
+        result.layouts.forEach(layout => {
+            expect(layout.widthHP).toBe(5);
+            expect(layout.controls).toHaveLength(6);
+            expect(DesignRuleService.checkModule({ name: 'Test', width: 5, controls: layout.controls }).isValid).toBe(true);
+        });
+    });
+
+    test('finds nothing on one HP less', () => {
+        expect(AutoLayoutService.proposeLayouts({ name: 'Test', width: 4 }, requirements)).toEqual([]);
+    });
+
+    test('gives up at the widest panel allowed', () => {
+        const crowded = AutoLayoutService.parseRequirements('40 knobs').requirements;
+
+        expect(AutoLayoutService.findMinimumWidth({ name: 'Test' }, crowded, { maxWidthHP: 8 })).toBeNull();
+    });
+});
+
+describe('proposeLayouts', () => {
+    test('keeps layouts when only the power header fails its checks', () => {
+        const { requirements } = AutoLayoutService.parseRequirements('2 knobs\n4 jacks');
+        const moduleSpec = { name: 'Test', stack: { caseDepth: 25 } };
+
+        expect(DesignRuleService.checkModule({ ...moduleSpec, width: 5, controls: [] }).isValid).toBe(false);
+        expect(AutoLayoutService.findMinimumWidth(moduleSpec, requirements).widthHP).toBe(5);
+    });
+});
@@ -0,0 +1,522 @@
+import ErrorService from './ErrorService.js';
+
+// Point classification against a plane
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+/**
+ * Plane through a convex polygon, as normal · p = w
+ * @private
+ */
+class Plane {
+    constructor(normal, w) {
+        this.normal = normal;
+        this.w = w;
+    }
+
+    static fromPoints(a, b, c) {
+        const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+        if (normal.lengthSq() === 0) return null;
+        normal.normalize();
+        return new Plane(normal, normal.dot(a));
+    }
+
+    clone() {
+        return new Plane(this.normal.clone(), this.w);
+    }
+
+    flip() {
+        this.normal.negate();
+        this.w = -this.w;
+    }
+
+    /**
+     * Sort a polygon into the lists on either side of this plane, splitting
+     * it when it spans the plane
+     */
+    splitPolygon(polygon, coplanarFront, coplanarBack, front, back, epsilon) {
+        let polygonType = 0;
+        const types = polygon.vertices.map(vertex => {
+            const t = this.normal.dot(vertex) - this.w;
+            const type = t < -epsilon ? BACK : (t > epsilon ? FRONT : COPLANAR);
+            polygonType |= type;
+            return type;
+        });
+
+        switch (polygonType) {
+            case COPLANAR:
+                (this.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+                break;
+            case FRONT:
+                front.push(polygon);
+                break;
+            case BACK:
+                back.push(polygon);
+                break;
+            default: {
+                const frontVertices = [];
+                const backVertices = [];
+                const count = polygon.vertices.length;
+                for (let i = 0; i < count; i++) {
+                    const j = (i + 1) % count;
+                    const vi = polygon.vertices[i];
+                    const vj = polygon.vertices[j];
+                    if (types[i] !== BACK) frontVertices.push(vi);
+                    if (types[i] !== FRONT) backVertices.push(types[i] !== BACK ? vi.clone() : vi);
+                    if ((types[i] | types[j]) === SPANNING) {
+                        const t = (this.w - this.normal.dot(vi)) / this.normal.dot(new THREE.Vector3().subVectors(vj, vi));
+                        const vertex = vi.clone().lerp(vj, t);
+                        frontVertices.push(vertex);
+                        backVertices.push(vertex.clone());
+                    }
+                }
+                if (frontVertices.length >= 3) front.push(new Polygon(frontVertices, polygon.plane));
+                if (backVertices.length >= 3) back.push(new Polygon(backVertices, polygon.plane));
+            }
+        }
+    }
+}
+
+/**
+ * Convex planar polygon
+ * @private
+ */
+class Polygon {
+    constructor(vertices, plane) {
+        this.vertices = vertices;
+        this.plane = plane || Plane.fromPoints(vertices[0], vertices[1], vertices[2]);
+    }
+
+    flip() {
+        this.vertices.reverse();
+        this.plane = this.plane.clone();
+        this.plane.flip();
+    }
+}
+
+/**
+ * BSP tree node. Built and walked with explicit stacks: convex solids make
+ * the tree a long chain, deeper than the call stack allows.
+ * @private
+ */
+class Node {
+    constructor(epsilon) {
+        this.epsilon = epsilon;
+        this.plane = null;
+        this.front = null;
+        this.back = null;
+        this.polygons = [];
+    }
+
+    nodes() {
+        const nodes = [];
+        const stack = [this];
+        while (stack.length) {
+            const node = stack.pop();
+            nodes.push(node);
+            if (node.front) stack.push(node.front);
+            if (node.back) stack.push(node.back);
+        }
+        return nodes;
+    }
+
+    build(polygons) {
+        const stack = [[this, polygons]];
+        while (stack.length) {
+            const [node, list] = stack.pop();
+            if (list.length === 0) continue;
+            if (!node.plane) node.plane = list[0].plane.clone();
+
+            const front = [];
+            const back = [];
+            list.forEach(polygon => node.plane.splitPolygon(polygon, node.polygons, node.polygons, front, back, this.epsilon));
+
+            if (front.length) {
+                node.front = node.front || new Node(this.epsilon);
+                stack.push([node.front, front]);
+            }
+            if (back.length) {
+                node.back = node.back || new Node(this.epsilon);
+                stack.push([node.back, back]);
+            }
+        }
+    }
+
+    invert() {
+        this.nodes().forEach(node => {
+            node.polygons.forEach(polygon => polygon.flip());
+            if (node.plane) node.plane.flip();
+            [node.front, node.back] = [node.back, node.front];
+        });
+    }
+
+    // Remove the parts of polygons inside this tree's solid
+    clipPolygons(polygons) {
+        const result = [];
+        const stack = [[this, polygons]];
+        while (stack.length) {
+            const [node, list] = stack.pop();
+            if (!node.plane) {
+                list.forEach(polygon => result.push(polygon));
+                continue;
+            }
+
+            const front = [];
+            const back = [];
+            list.forEach(polygon => node.plane.splitPolygon(polygon, front, back, front, back, this.epsilon));
+
+            if (node.front) {
+                stack.push([node.front, front]);
+            } else {
+                front.forEach(polygon => result.push(polygon));
+            }
+            if (node.back) stack.push([node.back, back]);
+        }
+        return result;
+    }
+
+    clipTo(bsp) {
+        this.nodes().forEach(node => {
+            node.polygons = bsp.clipPolygons(node.polygons);
+        });
+    }
+
+    allPolygons() {
+        const polygons = [];
+        this.nodes().forEach(node => node.polygons.forEach(polygon => polygons.push(polygon)));
+        return polygons;
+    }
+}
+
+// Boolean operations on BSP trees; each leaves its result in the first tree
+const subtractTrees = (a, b) => {
+    a.invert();
+    a.clipTo(b);
+    b.clipTo(a);
+    b.invert();
+    b.clipTo(a);
+    b.invert();
+    a.build(b.allPolygons());
+    a.invert();
+};
+
+const unionTrees = (a, b) => {
+    a.clipTo(b);
+    b.clipTo(a);
+    b.invert();
+    b.clipTo(a);
+    b.invert();
+    a.build(b.allPolygons());
+};
+
+const intersectTrees = (a, b) => {
+    a.invert();
+    b.clipTo(a);
+    b.invert();
+    a.clipTo(b);
+    b.clipTo(a);
+    a.build(b.allPolygons());
+    a.invert();
+};
+
+class CSGService {
+    constructor() {
+        this._epsilon = 1e-5;      // Plane thickness for point classification, mm
+        this._weldTolerance = 1e-4;  // Vertices closer than this are merged, mm
+    }
+
+    /**
+     * Subtract solids from a solid. Inputs must be closed meshes in the same
+     * coordinate space; transforms are not applied. Cutters are removed in
+     * one pass: separate ones are combined as they are, overlapping ones
+     * are merged first so the combined solid stays valid. Several solids
+     * to cut are merged the same way in the same pass, which avoids the
+     * slivers a separate union would leave for the cut to split again.
+     * @param {THREE.BufferGeometry|Array<THREE.BufferGeometry>} geometry - Solid to cut, or solids to merge and cut
+     * @param {THREE.BufferGeometry|Array<THREE.BufferGeometry>} cutters - Solids to remove
+     * @returns {THREE.BufferGeometry|null} Watertight result
+     */
+    subtract(geometry, cutters) {
+        return this._run('subtract', () =>
+            this._operate(this._combine(geometry), [this._combine(cutters)], subtractTrees));
+    }
+
+    /**
+     * Merge solids into one
+     * @param {THREE.BufferGeometry} geometry - First solid
+     * @param {THREE.BufferGeometry|Array<THREE.BufferGeometry>} others - Solids to add
+     * @returns {THREE.BufferGeometry|null} Watertight result
+     */
+    union(geometry, others) {
+        return this._run('union', () =>
+            this._operate(this._toPolygons(geometry), this._list(others).map(other => this._toPolygons(other)), unionTrees));
+    }
+
+    /**
+     * Keep only the volume shared by all solids
+     * @param {THREE.BufferGeometry} geometry - First solid
+     * @param {THREE.BufferGeometry|Array<THREE.BufferGeometry>} others - Solids to intersect with
+     * @returns {THREE.BufferGeometry|null} Watertight result
+     */
+    intersect(geometry, others) {
+        return this._run('intersect', () =>
+            this._operate(this._toPolygons(geometry), this._list(others).map(other => this._toPolygons(other)), intersectTrees));
+    }
+
+    /**
+     * Run an operation and rebuild geometry from its polygons
+     * @param {string} operation - Operation name, for error reports
+     * @param {Function} operate - Returns the result polygons
+     * @returns {THREE.BufferGeometry|null} Result geometry
+     * @private
+     */
+    _run(operation, operate) {
+        try {
+            return this._toGeometry(operate());
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'CSG Boolean Operation',
+                operation: operation
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Apply a tree operation with each operand in turn
+     * @param {Array<Polygon>} polygons - First solid
+     * @param {Array<Array<Polygon>>} operands - Other solids
+     * @param {Function} combine - Tree operation
+     * @returns {Array<Polygon>} Result polygons
+     * @private
+     */
+    _operate(polygons, operands, combine) {
+        return operands.reduce((result, operand) => {
+            const a = new Node(this._epsilon);
+            const b = new Node(this._epsilon);
+            a.build(result);
+            b.build(operand);
+            combine(a, b);
+            return a.allPolygons();
+        }, polygons);
+    }
+
+    /**
+     * Combine solids into one operand. Solids whose bounds overlap are
+     * clustered and each cluster is merged with a union; clusters are
+     * disjoint, so their polygons simply add up.
+     * @param {THREE.BufferGeometry|Array<THREE.BufferGeometry>} geometries - Solids
+     * @returns {Array<Polygon>} Polygons of one valid solid
+     * @private
+     */
+    _combine(geometries) {
+        const clusters = [];
+        this._list(geometries).forEach(geometry => {
+            geometry.computeBoundingBox();
+            let cluster = { geometries: [geometry], box: geometry.boundingBox.clone() };
+
+            // Absorb every cluster the growing one touches
+            let merged = true;
+            while (merged) {
+                merged = false;
+                for (let i = clusters.length - 1; i >= 0; i--) {
+                    if (clusters[i].box.intersectsBox(cluster.box)) {
+                        cluster = {
+                            geometries: [...clusters[i].geometries, ...cluster.geometries],
+                            box: clusters[i].box.clone().union(cluster.box)
+                        };
+                        clusters.splice(i, 1);
+                        merged = true;
+                    }
+                }
+            }
+            clusters.push(cluster);
+        });
+
+        const polygons = [];
+        clusters.forEach(cluster => {
+            const [first, ...rest] = cluster.geometries.map(geometry => this._toPolygons(geometry));
+            this._operate(first, rest, unionTrees).forEach(polygon => polygons.push(polygon));
+        });
+        return polygons;
+    }
+
+    /**
+     * @param {*} value - Item or array of items
+     * @returns {Array} Array of items
+     * @private
+     */
+    _list(value) {
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Triangles of a geometry as polygons, skipping degenerate ones
+     * @param {THREE.BufferGeometry} geometry - Closed mesh
+     * @returns {Array<Polygon>} Polygons
+     * @private
+     */
+    _toPolygons(geometry) {
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const vertex = i => new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i);
+
+        const polygons = [];
+        for (let i = 0; i < count; i += 3) {
+            const vertices = [vertex(i), vertex(i + 1), vertex(i + 2)];
+            const plane = Plane.fromPoints(...vertices);
+            if (plane) polygons.push(new Polygon(vertices, plane));
+        }
+        return polygons;
+    }
+
+    /**
+     * Rebuild a triangle mesh from polygons. Vertices are welded, and
+     * vertices lying on another polygon's edge (T-junctions left by BSP
+     * splitting) are inserted into that edge, so every edge is shared by
+     * exactly two triangles.
+     * @param {Array<Polygon>} polygons - Convex polygons
+     * @returns {THREE.BufferGeometry} Non-indexed geometry with flat normals
+     * @private
+     */
+    _toGeometry(polygons) {
+        const points = [];
+        const grid = new Map();
+        const cellSize = 2;
+        const cellKey = (x, y, z) => `${x},${y},${z}`;
+        const cellOf = point => [
+            Math.floor(point.x / cellSize),
+            Math.floor(point.y / cellSize),
+            Math.floor(point.z / cellSize)
+        ];
+        const nearby = (cx, cy, cz, visit) => {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const cell = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+                        if (cell) cell.forEach(visit);
+                    }
+                }
+            }
+        };
+        const weld = point => {
+            const [cx, cy, cz] = cellOf(point);
+            let found = -1;
+            nearby(cx, cy, cz, id => {
+                if (found === -1 && points[id].distanceTo(point) < this._weldTolerance) found = id;
+            });
+            if (found !== -1) return found;
+
+            points.push(point);
+            const key = cellKey(cx, cy, cz);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(points.length - 1);
+            return points.length - 1;
+        };
+
+        // Slivers thinner than the weld tolerance have no area once welded;
+        // their neighbours' edges pick up the sliver's vertices instead
+        const direction = new THREE.Vector3();
+        const toPoint = new THREE.Vector3();
+        const isFlat = loop => {
+            const start = points[loop[0]];
+            const far = loop.reduce((best, id) => (points[id].distanceToSquared(start) > points[best].distanceToSquared(start) ? id : best), loop[0]);
+            direction.subVectors(points[far], start).normalize();
+            return loop.every(id => {
+                toPoint.subVectors(points[id], start);
+                return toPoint.addScaledVector(direction, -toPoint.dot(direction)).length() < this._weldTolerance;
+            });
+        };
+
+        const welded = polygons.map(polygon => polygon.vertices.map(weld));
+
+        // Points merged into a sharp corner they sit next to, see below
+        const merged = new Map();
+        const resolve = id => {
+            while (merged.has(id)) id = merged.get(id);
+            return id;
+        };
+
+        // Close T-junctions: walk each edge through the grid collecting points on it
+        const segment = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+        const pointsOnEdge = (start, end) => {
+            segment.subVectors(end, start);
+            const lengthSq = segment.lengthSq();
+            const onEdge = new Map();
+
+            const steps = Math.max(1, Math.ceil(Math.sqrt(lengthSq) / cellSize));
+            for (let step = 0; step <= steps; step++) {
+                const [cx, cy, cz] = cellOf(start.clone().addScaledVector(segment, step / steps));
+                nearby(cx, cy, cz, candidate => {
+                    if (onEdge.has(candidate) || merged.has(candidate)) return;
+                    offset.subVectors(points[candidate], start);
+                    const t = offset.dot(segment) / lengthSq;
+                    if (t <= 1e-9 || t >= 1 - 1e-9) return;
+                    if (offset.addScaledVector(segment, -t).length() < this._weldTolerance) {
+                        onEdge.set(candidate, t);
+                    }
+                });
+            }
+            return onEdge;
+        };
+
+        // A point just beside a sharp corner is in reach of both edges and
+        // would be inserted twice, pinching the surface; it is merged into
+        // the corner and the loops are rebuilt
+        let repaired = [];
+        for (let pass = 0; pass < 4; pass++) {
+            const loops = welded
+                .map(ids => ids.map(resolve).filter((id, i, all) => id !== resolve(all[(i + 1) % all.length])))
+                .filter(loop => loop.length >= 3 && !isFlat(loop));
+
+            let pinched = false;
+            repaired = loops.map(loop => {
+                const seen = new Map();
+                return loop.flatMap((id, i) => {
+                    const onEdge = pointsOnEdge(points[id], points[loop[(i + 1) % loop.length]]);
+                    onEdge.forEach((t, candidate) => {
+                        if (seen.has(candidate) && !merged.has(candidate)) {
+                            // Edges i and seen meet at the shared end nearest the point
+                            const corner = seen.get(candidate) === (i + loop.length - 1) % loop.length ? id : loop[0];
+                            merged.set(candidate, corner);
+                            pinched = true;
+                        }
+                        seen.set(candidate, i);
+                    });
+                    return [id, ...[...onEdge.entries()].sort((a, b) => a[1] - b[1]).map(([candidate]) => candidate)];
+                });
+            });
+
+            if (!pinched) break;
+        }
+
+        const positions = [];
+        const pushPoint = point => positions.push(point.x, point.y, point.z);
+        repaired.forEach(loop => {
+            if (loop.length === 3) {
+                loop.forEach(id => pushPoint(points[id]));
+                return;
+            }
+
+            // Fan from the centroid so collinear edge points never form slivers
+            const centroid = loop.reduce((sum, id) => sum.add(points[id]), new THREE.Vector3()).divideScalar(loop.length);
+            loop.forEach((id, i) => {
+                pushPoint(centroid);
+                pushPoint(points[id]);
+                pushPoint(points[loop[(i + 1) % loop.length]]);
+            });
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+}
+
+// Singleton export
+export default new CSGService();
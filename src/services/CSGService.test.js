@@ -0,0 +1,57 @@
+import CSGService from './CSGService.js';
+import { brokenEdges } from './testHelpers.js';
+
+// Signed volume from the divergence theorem; positive for outward normals
+const volume = (geometry) => {
+    const position = geometry.attributes.position;
+    const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    let total = 0;
+
+    for (let i = 0; i < position.count; i += 3) {
+        a.fromBufferAttribute(position, i);
+        b.fromBufferAttribute(position, i + 1);
+        c.fromBufferAttribute(position, i + 2);
+        total += a.dot(b.cross(c)) / 6;
+    }
+    return total;
+};
+
+const box = (size, x = 0, y = 0, z = 0) => new THREE.BoxGeometry(size, size, size).translate(x, y, z);
+
+describe('subtract', () => {
+    test('drills a hole through a box', () => {
+        const segments = 24;
+        const cylinder = new THREE.CylinderGeometry(3, 3, 20, segments).rotateX(Math.PI / 2);
+        const result = CSGService.subtract(box(10), cylinder);
+        const holeArea = segments / 2 * 9 * Math.sin(2 * Math.PI / segments);
+
+        expect(brokenEdges(result)).toEqual([]);
+        expect(volume(result)).toBeCloseTo(1000 - holeArea * 10, 3);
+    });
+
+    test('merges several solids and cuts them in one pass', () => {
+        const cutters = [box(4, -3, 0, 5), box(4, 3, 0, 5)];
+        const result = CSGService.subtract([box(10), box(10, 8, 0, 0)], cutters);
+
+        expect(brokenEdges(result)).toEqual([]);
+        expect(volume(result)).toBeCloseTo(1000 + 800 - 2 * 4 * 4 * 2, 3);
+    });
+});
+
+describe('union', () => {
+    test('joins overlapping boxes', () => {
+        const result = CSGService.union(box(10), box(4, 5, 5, 5));
+
+        expect(brokenEdges(result)).toEqual([]);
+        expect(volume(result)).toBeCloseTo(1000 + 64 - 8, 3);
+    });
+});
+
+describe('intersect', () => {
+    test('keeps the shared volume', () => {
+        const result = CSGService.intersect(box(10), box(10, 5, 5, 5));
+
+        expect(brokenEdges(result)).toEqual([]);
+        expect(volume(result)).toBeCloseTo(125, 3);
+    });
+});
@@ -0,0 +1,462 @@
+import ErrorService from './ErrorService.js';
+
+class ComponentLibraryService {
+    constructor() {
+        // Real panel parts. All dimensions in mm:
+        // panelHole - round ({ diameter }) or rectangular ({ width, height }) cutout
+        // cap - geometry in front of the panel, body - geometry behind it
+        // heightAbovePanel / depthBehindPanel - overall extents from the panel faces
+        // bushing, nut, shaft, knob, bat - front geometry for the 3D generators;
+        // nuts are hex, sized across flats
+        this._parts = {
+            'alpha-9mm-pot': {
+                name: 'Alpha 9mm vertical pot',
+                type: 'pot',
+                panelHole: { diameter: 7.2 },
+                heightAbovePanel: 10,
+                depthBehindPanel: 12.5,
+                cap: { shape: 'cylinder', diameter: 6, color: 0xb0b0b0 },
+                body: { shape: 'box', width: 9.8, height: 11, color: 0x2b4c7e },
+                bushing: { diameter: 7, length: 5, color: 0xb0b0b0 },
+                nut: { acrossFlats: 8, thickness: 1.8, color: 0xc8c8c8 },
+                shaft: { diameter: 6, color: 0xb0b0b0 }
+            },
+            'davies-1900h': {
+                name: 'Davies 1900H knob (Alpha 9mm pot)',
+                type: 'knob',
+                mountsOn: 'alpha-9mm-pot',
+                heightAbovePanel: 15.6,
+                cap: { shape: 'cylinder', diameter: 16.7, color: 0x1a1a1a },
+                knob: {
+                    skirtDiameter: 16.7,
+                    skirtHeight: 2.5,
+                    bodyDiameter: 12.7,
+                    topDiameter: 11.2,
+                    knurls: 24,
+                    capDiameter: 9.5,
+                    capColor: 0x2a2a2a,
+                    pointerColor: 0xf0f0f0
+                }
+            },
+            'rogan-1s': {
+                name: 'Rogan 1S knob (Alpha 9mm pot)',
+                type: 'knob',
+                mountsOn: 'alpha-9mm-pot',
+                heightAbovePanel: 14.3,
+                cap: { shape: 'cylinder', diameter: 12.7, color: 0x111111 },
+                knob: {
+                    bodyDiameter: 12.7,
+                    topDiameter: 11.4,
+                    knurls: 18,
+                    capDiameter: 10,
+                    capColor: 0x1c1c1c,
+                    pointerColor: 0xf0f0f0
+                }
+            },
+            'thonkiconn-pj398sm': {
+                name: 'Thonkiconn PJ398SM 3.5mm jack',
+                type: 'jack',
+                panelHole: { diameter: 6 },
+                heightAbovePanel: 4.5,
+                depthBehindPanel: 10.5,
+                cap: { shape: 'cylinder', diameter: 8, color: 0xc0c0c0 },
+                body: { shape: 'box', width: 9, height: 10.5, color: 0x222222 },
+                bushing: { diameter: 6, length: 4.5, bore: 3.6, color: 0xb8b8b8 },
+                nut: { acrossFlats: 7, thickness: 2, color: 0xc0c0c0 }
+            },
+            'mini-toggle-spdt': {
+                name: 'Mini toggle switch (SPDT)',
+                type: 'switch',
+                panelHole: { diameter: 6.2 },
+                heightAbovePanel: 14,
+                depthBehindPanel: 10,
+                cap: { shape: 'cylinder', diameter: 3, color: 0xc0c0c0 },
+                body: { shape: 'box', width: 8, height: 13, color: 0x333333 },
+                bushing: { diameter: 6, length: 5.5, color: 0xb8b8b8 },
+                nut: { acrossFlats: 8, thickness: 2, color: 0xc0c0c0 },
+                bat: { baseDiameter: 3, tipDiameter: 2.2, angle: 12, color: 0xd0d0d0 }
+            },
+            'led-3mm': {
+                name: '3mm LED',
+                type: 'led',
+                panelHole: { diameter: 3.2 },
+                heightAbovePanel: 1,
+                depthBehindPanel: 5.3,
+                cap: { shape: 'cylinder', diameter: 3, color: 0xff2020 },
+                body: { shape: 'cylinder', diameter: 3, color: 0xff2020 }
+            },
+            'led-5mm': {
+                name: '5mm LED',
+                type: 'led',
+                panelHole: { diameter: 5.2 },
+                heightAbovePanel: 1.5,
+                depthBehindPanel: 8.6,
+                cap: { shape: 'cylinder', diameter: 5, color: 0xff2020 },
+                body: { shape: 'cylinder', diameter: 5, color: 0xff2020 }
+            },
+            'tactile-6mm': {
+                name: '6×6mm tactile button',
+                type: 'button',
+                panelHole: { diameter: 4 },
+                heightAbovePanel: 1.5,
+                depthBehindPanel: 7,
+                cap: { shape: 'cylinder', diameter: 3.5, color: 0x222222 },
+                body: { shape: 'box', width: 6, height: 6, color: 0x555555 }
+            },
+            'slide-pot-30mm': {
+                name: '30mm travel slide pot',
+                type: 'slider',
+                panelHole: { width: 2.5, height: 34 },
+                heightAbovePanel: 10,
+                depthBehindPanel: 7,
+                cap: { shape: 'box', width: 4, height: 10, color: 0x1a1a1a },
+                body: { shape: 'box', width: 9, height: 45, color: 0x2b4c7e }
+            },
+            'oled-096': {
+                name: '0.96" OLED display (128×64)',
+                type: 'display',
+                panelHole: { width: 24, height: 13 },
+                heightAbovePanel: 0,
+                depthBehindPanel: 4,
+                body: { shape: 'box', width: 27.3, height: 27.8, color: 0x0a0a0a }
+            }
+        };
+
+        // Part used for controls that only carry a generic type
+        this._defaultParts = {
+            knob: 'davies-1900h',
+            pot: 'alpha-9mm-pot',
+            jack: 'thonkiconn-pj398sm',
+            switch: 'mini-toggle-spdt',
+            led: 'led-3mm',
+            button: 'tactile-6mm',
+            slider: 'slide-pot-30mm',
+            display: 'oled-096'
+        };
+
+        // Types whose visible colour is a build choice (knob caps, LED lenses)
+        this._colorableTypes = ['knob', 'led'];
+    }
+
+    /**
+     * List library parts
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.type - Only return parts of this control type
+     * @returns {Array<Object>} Resolved parts
+     */
+    getParts(filter = {}) {
+        return Object.keys(this._parts)
+            .map(id => this.getPart(id))
+            .filter(part => !filter.type || part.type === filter.type);
+    }
+
+    /**
+     * Get a part by ID. Parts that mount on another part (knobs on pots)
+     * inherit its panel hole, depth and body.
+     * @param {string} partId - Part identifier
+     * @returns {Object|null} Part with id, or null if unknown
+     */
+    getPart(partId) {
+        const part = this._parts[partId];
+        if (!part) return null;
+
+        const base = part.mountsOn ? this._parts[part.mountsOn] : {};
+        return { ...base, ...part, id: partId };
+    }
+
+    /**
+     * Resolve the part for a layout control: its partId, or the
+     * library default for its generic type
+     * @param {Object} control - Control with partId and/or type
+     * @returns {Object|null} Part, or null if neither is known
+     */
+    resolvePart(control) {
+        return this.getPart(control.partId) || this.getPart(this._defaultParts[control.type]);
+    }
+
+    /**
+     * Whether a part's colour can be chosen per control
+     * @param {Object} part - Resolved part
+     * @returns {boolean} True for knobs and LEDs
+     */
+    isColorable(part) {
+        return Boolean(part) && this._colorableTypes.includes(part.type);
+    }
+
+    /**
+     * Build a 3D model of a part. The origin is the hole centre on the
+     * panel's front face; +Z points away from the panel.
+     * @param {Object} part - Resolved part
+     * @param {Object} options - Model options
+     * @param {string} options.name - Group name, also prefixes the mesh names
+     * @param {number} options.panelThickness - Panel thickness in mm
+     * @param {number} options.rotation - Clockwise rotation seen from the front, in degrees
+     * @param {string|number} options.color - Knob or LED colour for colourable parts
+     * @returns {THREE.Group|null} Part model
+     */
+    createPartModel(part, options = {}) {
+        try {
+            const group = new THREE.Group();
+            group.name = options.name || part.id;
+            group.userData.part = { id: part.id, type: part.type };
+
+            const thickness = options.panelThickness || 0;
+            const color = this.isColorable(part) && options.color ? options.color : null;
+
+            if (part.heightAbovePanel > 0) {
+                this._createFrontModels(part, color).forEach(model => {
+                    model.name = `${group.name}_${model.name}`;
+                    group.add(model);
+                });
+            }
+
+            if (part.body && part.depthBehindPanel > 0) {
+                const body = this._createShape(part.body, part.depthBehindPanel, part.type === 'led' ? color : null);
+                body.name = `${group.name}_body`;
+                body.position.z = -thickness - part.depthBehindPanel / 2;
+                group.add(body);
+            }
+
+            // Scene Z points out of the panel, so clockwise from the front is negative
+            if (options.rotation) {
+                group.rotation.z = -options.rotation * Math.PI / 180;
+            }
+
+            return group;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Component Model Generation',
+                partId: part && part.id
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Geometry in front of the panel. Parts with bushing, knob, shaft or bat
+     * dimensions get realistic generators; others fall back to their cap shape.
+     * @param {Object} part - Resolved part
+     * @param {string|number} color - Optional knob colour
+     * @returns {Array<THREE.Object3D>} Named models, positioned from the front face
+     * @private
+     */
+    _createFrontModels(part, color) {
+        const models = [];
+
+        if (part.nut) {
+            const nut = this._createNut(part.nut);
+            nut.position.z = part.nut.thickness / 2;
+            models.push(nut);
+        }
+
+        if (part.bushing) {
+            models.push(this._createBushing(part.bushing));
+        }
+
+        if (part.knob) {
+            // The knob clears the nut; its shaft is hidden inside
+            const base = part.nut ? part.nut.thickness + 0.5 : 0;
+            const knob = this._createKnob(part.knob, part.heightAbovePanel - base, color || part.cap.color);
+            knob.position.z = base;
+            models.push(knob);
+        } else if (part.bat) {
+            const bat = this._createBat(part.bat, part.heightAbovePanel - part.bushing.length);
+            bat.position.z = part.bushing.length;
+            models.push(bat);
+        } else if (part.shaft) {
+            const shaft = this._createShape({ shape: 'cylinder', ...part.shaft }, part.heightAbovePanel);
+            shaft.name = 'shaft';
+            shaft.position.z = part.heightAbovePanel / 2;
+            models.push(shaft);
+        } else if (part.cap && !part.bushing) {
+            const cap = this._createShape(part.cap, part.heightAbovePanel, color);
+            cap.name = 'cap';
+            cap.position.z = part.heightAbovePanel / 2;
+            models.push(cap);
+        }
+
+        return models;
+    }
+
+    /**
+     * Knob turned from a lathe profile: optional skirt, knurled body, a
+     * cap inset in the top and pointer lines on the cap and skirt. The
+     * pointer faces 12 o'clock; the part rotation turns it.
+     * @param {Object} knob - Knob dimensions from the library
+     * @param {number} height - Knob height in mm
+     * @param {string|number} color - Knob colour
+     * @returns {THREE.Group} Knob with its base on the origin
+     * @private
+     */
+    _createKnob(knob, height, color) {
+        const group = new THREE.Group();
+        group.name = 'knob';
+
+        const bodyRadius = knob.bodyDiameter / 2;
+        const topRadius = knob.topDiameter / 2;
+        const skirtHeight = knob.skirtDiameter ? knob.skirtHeight : 0;
+        const chamfer = 0.6;
+
+        // Profile as (radius, height), revolved about the knob axis
+        const profile = [new THREE.Vector2(0, 0)];
+        if (knob.skirtDiameter) {
+            const skirtRadius = knob.skirtDiameter / 2;
+            profile.push(
+                new THREE.Vector2(skirtRadius, 0),
+                new THREE.Vector2(skirtRadius, skirtHeight * 0.6),
+                new THREE.Vector2(bodyRadius + 0.4, skirtHeight)
+            );
+        } else {
+            profile.push(new THREE.Vector2(bodyRadius - chamfer, 0));
+        }
+        const knurlStart = profile.length;
+        profile.push(
+            new THREE.Vector2(bodyRadius, skirtHeight + (knob.skirtDiameter ? 0 : chamfer)),
+            new THREE.Vector2(topRadius, height - chamfer)
+        );
+        const knurlEnd = profile.length;
+        profile.push(
+            new THREE.Vector2(topRadius - chamfer, height),
+            new THREE.Vector2(0, height)
+        );
+
+        // Every other segment is cut back to form the knurling
+        const segments = (knob.knurls || 24) * 2;
+        const geometry = new THREE.LatheGeometry(profile, segments);
+        const positions = geometry.attributes.position;
+        for (let segment = 1; segment <= segments; segment += 2) {
+            for (let point = knurlStart; point < knurlEnd; point++) {
+                const index = segment * profile.length + point;
+                positions.setX(index, positions.getX(index) * 0.94);
+                positions.setZ(index, positions.getZ(index) * 0.94);
+            }
+        }
+        geometry.computeVertexNormals();
+        // LatheGeometry turns about Y; stand it on the panel instead
+        geometry.rotateX(Math.PI / 2);
+
+        const body = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color }));
+        body.name = 'knob_body';
+        group.add(body);
+
+        const pointerMaterial = new THREE.MeshLambertMaterial({ color: knob.pointerColor });
+
+        if (knob.capDiameter) {
+            const cap = this._createShape({ shape: 'cylinder', diameter: knob.capDiameter, color: knob.capColor }, 0.6);
+            cap.name = 'knob_cap';
+            cap.position.z = height - 0.3;
+            group.add(cap);
+        }
+
+        const capRadius = (knob.capDiameter || knob.topDiameter) / 2;
+        const topPointer = new THREE.Mesh(new THREE.BoxGeometry(0.7, capRadius * 0.8, 0.2), pointerMaterial);
+        topPointer.name = 'knob_pointer';
+        topPointer.position.set(0, capRadius * 0.55, height - 0.05);
+        group.add(topPointer);
+
+        if (knob.skirtDiameter) {
+            const skirtRadius = knob.skirtDiameter / 2;
+            const skirtPointer = new THREE.Mesh(new THREE.BoxGeometry(0.7, skirtRadius - bodyRadius, 0.2), pointerMaterial);
+            skirtPointer.name = 'knob_skirt_pointer';
+            skirtPointer.position.set(0, (skirtRadius + bodyRadius) / 2, skirtHeight * 0.8 + 0.1);
+            group.add(skirtPointer);
+        }
+
+        return group;
+    }
+
+    /**
+     * Threaded bushing, hollow when the part has a bore (jack sockets)
+     * @param {Object} bushing - Bushing diameter, length and optional bore
+     * @returns {THREE.Mesh} Bushing standing on the origin
+     * @private
+     */
+    _createBushing(bushing) {
+        const outer = bushing.diameter / 2;
+        const inner = bushing.bore ? bushing.bore / 2 : 0;
+        const profile = [
+            new THREE.Vector2(inner, 0),
+            new THREE.Vector2(outer, 0),
+            new THREE.Vector2(outer, bushing.length),
+            new THREE.Vector2(inner, bushing.length)
+        ];
+        // Close the bore wall
+        if (inner > 0) profile.push(new THREE.Vector2(inner, 0));
+        const geometry = new THREE.LatheGeometry(profile, 32);
+        geometry.rotateX(Math.PI / 2);
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: bushing.color }));
+        mesh.name = 'bushing';
+        return mesh;
+    }
+
+    /**
+     * Hex nut clamping the part to the panel
+     * @param {Object} nut - Nut size across flats and thickness
+     * @returns {THREE.Mesh} Nut centred on the origin
+     * @private
+     */
+    _createNut(nut) {
+        // Six-sided cylinder; its radius is the across-corners half-width
+        const radius = nut.acrossFlats / Math.sqrt(3);
+        const geometry = new THREE.CylinderGeometry(radius, radius, nut.thickness, 6);
+        geometry.rotateX(Math.PI / 2);
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: nut.color }));
+        mesh.name = 'nut';
+        return mesh;
+    }
+
+    /**
+     * Toggle bat lever with a rounded tip, leaning towards 12 o'clock
+     * @param {Object} bat - Base and tip diameters, lean angle in degrees and colour
+     * @param {number} length - Lever length above the bushing in mm
+     * @returns {THREE.Mesh} Lever pivoting on the origin
+     * @private
+     */
+    _createBat(bat, length) {
+        const tipRadius = bat.tipDiameter / 2;
+        const profile = [new THREE.Vector2(0, 0), new THREE.Vector2(bat.baseDiameter / 2, 0)];
+        for (let step = 0; step <= 4; step++) {
+            const angle = step / 4 * Math.PI / 2;
+            profile.push(new THREE.Vector2(
+                tipRadius * Math.cos(angle),
+                length - tipRadius + tipRadius * Math.sin(angle)
+            ));
+        }
+
+        const geometry = new THREE.LatheGeometry(profile, 16);
+        geometry.rotateX(Math.PI / 2);
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: bat.color }));
+        mesh.name = 'bat';
+        // Tilting about X by a negative angle leans the tip towards +Y
+        mesh.rotation.x = -bat.angle * Math.PI / 180;
+        return mesh;
+    }
+
+    /**
+     * Mesh for a cylinder or box shape extruded along Z
+     * @param {Object} shape - Shape with diameter or width/height and color
+     * @param {number} length - Extent along Z in mm
+     * @param {string|number} color - Optional colour overriding the shape's own
+     * @returns {THREE.Mesh} Mesh centred on the origin
+     * @private
+     */
+    _createShape(shape, length, color = null) {
+        const material = new THREE.MeshLambertMaterial({ color: color || shape.color });
+
+        if (shape.shape === 'cylinder') {
+            const radius = shape.diameter / 2;
+            const geometry = new THREE.CylinderGeometry(radius, radius, length, 24);
+            // CylinderGeometry runs along Y; turn it to face out of the panel
+            geometry.rotateX(Math.PI / 2);
+            return new THREE.Mesh(geometry, material);
+        }
+
+        return new THREE.Mesh(new THREE.BoxGeometry(shape.width, shape.height, length), material);
+    }
+}
+
+// Singleton export
+export default new ComponentLibraryService();
@@ -0,0 +1,43 @@
+import ComponentLibraryService from './ComponentLibraryService.js';
+
+describe('getPart', () => {
+    test('returns a part with its id and footprint', () => {
+        expect(ComponentLibraryService.getPart('thonkiconn-pj398sm')).toMatchObject({
+            id: 'thonkiconn-pj398sm',
+            type: 'jack',
+            panelHole: { diameter: 6 },
+            body: { width: 9, height: 10.5 }
+        });
+        expect(ComponentLibraryService.getPart('banana-jack')).toBeNull();
+    });
+
+    test('gives knobs the hole, depth and body of the pot they mount on', () => {
+        const knob = ComponentLibraryService.getPart('davies-1900h');
+        const pot = ComponentLibraryService.getPart('alpha-9mm-pot');
+
+        expect(knob).toMatchObject({ id: 'davies-1900h', type: 'knob', heightAbovePanel: 15.6 });
+        expect(knob.panelHole).toEqual(pot.panelHole);
+        expect(knob.depthBehindPanel).toBe(pot.depthBehindPanel);
+        expect(knob.body).toEqual(pot.body);
+        expect(knob.cap.diameter).toBe(16.7);
+    });
+});
+
+describe('resolvePart', () => {
+    test('prefers the control part id', () => {
+        expect(ComponentLibraryService.resolvePart({ type: 'knob', partId: 'rogan-1s' }).id).toBe('rogan-1s');
+    });
+
+    test('falls back to the default part for the control type', () => {
+        expect(ComponentLibraryService.resolvePart({ type: 'knob' }).id).toBe('davies-1900h');
+        expect(ComponentLibraryService.resolvePart({ type: 'jack', partId: 'unknown' }).id).toBe('thonkiconn-pj398sm');
+        expect(ComponentLibraryService.resolvePart({ type: 'theremin' })).toBeNull();
+    });
+});
+
+describe('getParts', () => {
+    test('filters by control type', () => {
+        expect(ComponentLibraryService.getParts({ type: 'knob' }).map(part => part.id)).toEqual(['davies-1900h', 'rogan-1s']);
+        expect(ComponentLibraryService.getParts().length).toBeGreaterThan(8);
+    });
+});
@@ -6,6 +6,62 @@ class ConfigService {
             hpUnit: 5.08,  // Horizontal Pitch unit in mm
             standardHeight: 128.5,  // Standard module height in mm
             powerRails: ['+12V', '-12V', '+5V'],
+
+            // Panel manufacturing
+            panel: {
+                thickness: 2,  // Front panel thickness in mm
+                holeSegments: 48,  // Facets around round holes cut into 3D panels
+                toleranceProfile: 'doepfer',  // 'doepfer' or 'custom'
+                customTolerance: {
+                    clearance: 0.3,  // Subtracted from HP × 5.08 when no width is listed
+                    widths: {}  // Explicit actual widths in mm, keyed by HP
+                }
+            },
+            
+            // Undo/redo
+            history: {
+                maxSteps: 100  // Oldest steps are dropped beyond this
+            },
+            
+            // Panel layout editor
+            layout: {
+                gridSize: 1,  // Snap grid pitch in mm, 0 disables the grid
+                snapToControls: true,  // Align with other controls' centres
+                alignTolerance: 1,  // Alignment capture distance in mm
+                pasteOffset: 5  // Pasted controls shift right and down by this many mm
+            },
+            
+            // Panel design-rule check limits (mm)
+            designRules: {
+                minHoleWeb: 1.5,  // Material left between hole edges
+                minFingerSpacing: 4,  // Gap between knob skirts and neighbouring caps
+                minEdgeDistance: 1.5  // Hole edge to panel edge
+            },
+            
+            // Behind-panel PCB stack (mm)
+            stack: {
+                pcbThickness: 1.6,
+                pcbSpacing: 11,  // Board-to-board gap for PCBs after the first
+                pcbEdgeClearance: 1,  // PCB edge inset from the panel sides
+                standoffDiameter: 5,
+                headerEdgeMargin: 5,  // Default power header gap above the bottom rail zone
+                ribbonClearance: 10  // IDC plug plus ribbon bend behind the power header
+            },
+            
+            // 3D-printable panels (mm)
+            print: {
+                thickness: 3,  // Printed panels need more material than aluminium
+                holeCompensation: 0.2,  // Added to hole sizes, printed holes shrink
+                chamfer: 0.6,  // Front edge chamfer, also offsets elephant's foot on the bed
+                ribs: true,
+                ribHeight: 4,
+                ribWidth: 1.6,
+                ribSpacing: 20,  // Target pitch of the vertical ribs
+                ribClearance: 1,  // Gap between ribs and component footprints
+                legends: true,
+                legendDepth: 0.6,
+                legendFont: 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/fonts/helvetiker_bold.typeface.json'
+            },
             
             // Rendering settings
             rendering: {
@@ -26,12 +82,14 @@ class ConfigService {
                 theme: 'dark',
                 language: 'en',
                 accessibilityMode: false,
+                panelZoom: { min: 1, max: 8 },  // Pinch-zoom limits for the panel preview
             },
             
             // Export settings
             export: {
                 supportedFormats: ['stl', 'obj', 'glb', '3mf'],
                 defaultFormat: 'stl',
+                stlBinary: true,
                 maxExportSize: 100 * 1024 * 1024,  // 100MB
             }
         };
@@ -0,0 +1,304 @@
+import ErrorService from './ErrorService.js';
+import LayoutService from './LayoutService.js';
+
+class ConstraintService {
+    constructor() {
+        // Constraint types and a short description of each
+        this._types = {
+            centreX: 'Control centred above or below a target control',
+            equalSpacing: 'Three or more controls evenly spaced along an axis',
+            edgeDistance: 'Control centres a fixed distance from a panel edge'
+        };
+        this._edges = ['top', 'bottom', 'left', 'right'];
+
+        this._maxIterations = 20;
+        this._tolerance = 0.01;  // mm
+    }
+
+    /**
+     * List the supported constraint types
+     * @returns {Object} Type names mapped to descriptions
+     */
+    getTypes() {
+        return { ...this._types };
+    }
+
+    /**
+     * Create a constraint. Controls are referenced by id so constraints
+     * survive reordering, deletion of other controls and project reloads.
+     * @param {string} type - Constraint type
+     * @param {Object} params - Type parameters:
+     *   centreX { control, target }, equalSpacing { controls, axis },
+     *   edgeDistance { controls, edge, distance }
+     * @returns {Object} Constraint with id and type
+     */
+    createConstraint(type, params) {
+        return { id: `constraint_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`, type, ...params };
+    }
+
+    /**
+     * Validate constraints against a layout
+     * @param {Array<Object>} constraints - Constraints
+     * @param {Array<Object>} controls - Layout controls
+     * @returns {Object} Validation result
+     */
+    validateConstraints(constraints, controls = []) {
+        const errors = [];
+
+        if (!Array.isArray(constraints)) {
+            return { isValid: false, errors: ['constraints must be an array'] };
+        }
+
+        const ids = new Set(controls.map(control => control.id));
+        constraints.forEach((constraint, index) => {
+            const name = `Constraint ${index + 1}`;
+
+            if (!this._types[constraint.type]) {
+                errors.push(`${name} has unknown type: ${constraint.type}`);
+                return;
+            }
+
+            const missing = this._controlIds(constraint).filter(id => !ids.has(id));
+            if (missing.length > 0) {
+                errors.push(`${name} refers to missing controls: ${missing.join(', ')}`);
+            }
+
+            switch (constraint.type) {
+                case 'equalSpacing':
+                    if (!Array.isArray(constraint.controls) || constraint.controls.length < 3) {
+                        errors.push(`${name} needs at least three controls`);
+                    }
+                    if (!['x', 'y'].includes(constraint.axis)) {
+                        errors.push(`${name} axis must be x or y`);
+                    }
+                    break;
+
+                case 'edgeDistance':
+                    if (!Array.isArray(constraint.controls) || constraint.controls.length === 0) {
+                        errors.push(`${name} needs at least one control`);
+                    }
+                    if (!this._edges.includes(constraint.edge)) {
+                        errors.push(`${name} edge must be one of ${this._edges.join(', ')}`);
+                    }
+                    if (!Number.isFinite(constraint.distance)) {
+                        errors.push(`${name} distance must be a number`);
+                    }
+                    break;
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Drop references to controls that no longer exist, and constraints
+     * left with too few controls to mean anything
+     * @param {Array<Object>} constraints - Constraints
+     * @param {Array<Object>} controls - Remaining controls
+     * @returns {Array<Object>} Constraints that still apply
+     */
+    pruneConstraints(constraints, controls) {
+        const ids = new Set(controls.map(control => control.id));
+
+        return (constraints || [])
+            .map(constraint => constraint.controls
+                ? { ...constraint, controls: constraint.controls.filter(id => ids.has(id)) }
+                : constraint)
+            .filter(constraint => {
+                switch (constraint.type) {
+                    case 'centreX':
+                        return ids.has(constraint.control) && ids.has(constraint.target);
+                    case 'equalSpacing':
+                        return constraint.controls.length >= 3;
+                    default:
+                        return constraint.controls.length > 0;
+                }
+            });
+    }
+
+    /**
+     * Move controls until every constraint holds. Pinned controls (e.g. the
+     * ones just dragged) lead: where a constraint can be met by moving the
+     * other controls instead, it is. Anchors are kept.
+     * @param {Array<Object>} controls - Millimetre controls
+     * @param {Array<Object>} constraints - Constraints
+     * @param {Object} panel - Panel width and height in mm
+     * @param {Object} options - Solver options
+     * @param {Array} options.pinned - Ids of controls that should stay put
+     * @returns {Object|null} Solved controls and ids of constraints that could not be met
+     */
+    solve(controls, constraints, panel, options = {}) {
+        try {
+            const pinned = new Set(options.pinned || []);
+            const positions = new Map(controls.map(control => [
+                control.id,
+                LayoutService.getAbsolutePosition(control, panel.width)
+            ]));
+            const active = this.pruneConstraints(constraints, controls);
+
+            for (let iteration = 0; iteration < this._maxIterations; iteration++) {
+                const moved = active.reduce((max, constraint) =>
+                    Math.max(max, this._apply(constraint, positions, pinned, panel)), 0);
+                if (moved < this._tolerance) break;
+            }
+
+            const unsatisfied = active
+                .filter(constraint => this._error(constraint, positions, panel) >= this._tolerance)
+                .map(constraint => constraint.id);
+
+            return {
+                controls: controls.map(control => {
+                    const position = positions.get(control.id);
+                    return LayoutService.setAbsolutePosition(control, position.x, position.y, panel.width);
+                }),
+                unsatisfied
+            };
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Layout Constraint Solver',
+                constraints: constraints
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Human-readable summary of a constraint
+     * @param {Object} constraint - Constraint
+     * @param {Array<Object>} controls - Layout controls, for labels
+     * @returns {string} Description
+     */
+    describe(constraint, controls) {
+        const label = id => {
+            const control = controls.find(candidate => candidate.id === id);
+            return control ? control.label : 'missing control';
+        };
+
+        switch (constraint.type) {
+            case 'centreX':
+                return `${label(constraint.control)} centred on ${label(constraint.target)}`;
+            case 'equalSpacing':
+                return `Equal ${constraint.axis === 'x' ? 'horizontal' : 'vertical'} spacing: ${constraint.controls.map(label).join(', ')}`;
+            case 'edgeDistance':
+                return `${constraint.controls.map(label).join(', ')} ${constraint.distance}mm from the ${constraint.edge} edge`;
+            default:
+                return constraint.type;
+        }
+    }
+
+    /**
+     * Move positions to satisfy one constraint
+     * @param {Object} constraint - Constraint
+     * @param {Map} positions - Absolute positions by control id, updated in place
+     * @param {Set} pinned - Ids of pinned controls
+     * @param {Object} panel - Panel width and height in mm
+     * @returns {number} Largest move in mm
+     * @private
+     */
+    _apply(constraint, positions, pinned, panel) {
+        let moved = 0;
+        const move = (id, axis, value) => {
+            const position = positions.get(id);
+            moved = Math.max(moved, Math.abs(position[axis] - value));
+            positions.set(id, { ...position, [axis]: value });
+        };
+
+        switch (constraint.type) {
+            case 'centreX': {
+                const control = positions.get(constraint.control);
+                const target = positions.get(constraint.target);
+                // A dragged control takes its target along
+                if (pinned.has(constraint.control) && !pinned.has(constraint.target)) {
+                    move(constraint.target, 'x', control.x);
+                } else {
+                    move(constraint.control, 'x', target.x);
+                }
+                break;
+            }
+
+            case 'equalSpacing': {
+                const axis = constraint.axis;
+                const ids = constraint.controls;
+                const first = positions.get(ids[0])[axis];
+                const step = (positions.get(ids[ids.length - 1])[axis] - first) / (ids.length - 1);
+                ids.slice(1, -1).forEach((id, i) => move(id, axis, first + step * (i + 1)));
+                break;
+            }
+
+            case 'edgeDistance': {
+                const target = this._edgeTarget(constraint, panel);
+                constraint.controls.forEach(id => move(id, target.axis, target.value));
+                break;
+            }
+        }
+
+        return moved;
+    }
+
+    /**
+     * How far a constraint is from holding
+     * @param {Object} constraint - Constraint
+     * @param {Map} positions - Absolute positions by control id
+     * @param {Object} panel - Panel width and height in mm
+     * @returns {number} Largest deviation in mm
+     * @private
+     */
+    _error(constraint, positions, panel) {
+        switch (constraint.type) {
+            case 'centreX':
+                return Math.abs(positions.get(constraint.control).x - positions.get(constraint.target).x);
+
+            case 'equalSpacing': {
+                const values = constraint.controls.map(id => positions.get(id)[constraint.axis]);
+                const step = (values[values.length - 1] - values[0]) / (values.length - 1);
+                return Math.max(...values.map((value, i) => Math.abs(value - (values[0] + step * i))));
+            }
+
+            case 'edgeDistance': {
+                const target = this._edgeTarget(constraint, panel);
+                return Math.max(...constraint.controls.map(id => Math.abs(positions.get(id)[target.axis] - target.value)));
+            }
+
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Axis and absolute coordinate an edge-distance constraint pins to
+     * @param {Object} constraint - Edge-distance constraint
+     * @param {Object} panel - Panel width and height in mm
+     * @returns {Object} axis ('x' or 'y') and value in mm
+     * @private
+     */
+    _edgeTarget(constraint, panel) {
+        switch (constraint.edge) {
+            case 'top':
+                return { axis: 'y', value: constraint.distance };
+            case 'bottom':
+                return { axis: 'y', value: panel.height - constraint.distance };
+            case 'left':
+                return { axis: 'x', value: constraint.distance };
+            default:
+                return { axis: 'x', value: panel.width - constraint.distance };
+        }
+    }
+
+    /**
+     * Ids of all controls a constraint refers to
+     * @param {Object} constraint - Constraint
+     * @returns {Array} Control ids
+     * @private
+     */
+    _controlIds(constraint) {
+        return constraint.type === 'centreX'
+            ? [constraint.control, constraint.target]
+            : constraint.controls || [];
+    }
+}
+
+// Singleton export
+export default new ConstraintService();
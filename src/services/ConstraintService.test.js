@@ -0,0 +1,62 @@
+import ConstraintService from './ConstraintService.js';
+
+const panel = { width: 40.3, height: 128.5 };
+const control = (id, x, y) => ({ id, unit: 'mm', anchor: 'left', x, y, type: 'jack', label: `Jack ${id}` });
+const createControls = () => [control(1, 5, 20), control(2, 30, 50), control(3, 12, 80), control(4, 25, 110)];
+
+// Listed so that each constraint undoes part of the one before it on the first pass
+const createConstraints = () => [
+    { id: 'spacing', type: 'equalSpacing', controls: [1, 2, 3], axis: 'y' },
+    { id: 'column', type: 'centreX', control: 3, target: 2 },
+    { id: 'top', type: 'edgeDistance', controls: [1], edge: 'top', distance: 15 },
+    { id: 'centre', type: 'centreX', control: 2, target: 1 },
+    { id: 'left', type: 'edgeDistance', controls: [1], edge: 'left', distance: 10 }
+];
+
+describe('solve', () => {
+    test('converges on chained constraints', () => {
+        const result = ConstraintService.solve(createControls(), createConstraints(), panel);
+
+        expect(result.unsatisfied).toEqual([]);
+        expect(result.controls.map(solved => [solved.x, solved.y])).toEqual([
+            [10, 15], [10, 47.5], [10, 80], [25, 110]
+        ]);
+    });
+
+    test('reports constraints that conflict', () => {
+        const constraints = [
+            ...createConstraints(),
+            { id: 'further', type: 'edgeDistance', controls: [1], edge: 'left', distance: 20 }
+        ];
+        const result = ConstraintService.solve(createControls(), constraints, panel);
+
+        expect(result.unsatisfied).toEqual(['left']);
+        expect(result.controls[2].x).toBe(20);
+    });
+
+    test('moves the target when the constrained control is pinned', () => {
+        const constraints = [{ id: 'centre', type: 'centreX', control: 2, target: 1 }];
+        const result = ConstraintService.solve(createControls(), constraints, panel, { pinned: [2] });
+
+        expect(result.controls.map(solved => solved.x)).toEqual([30, 30, 12, 25]);
+    });
+
+    test('keeps each control on its anchor', () => {
+        const controls = [control(1, 5, 20), { ...control(2, -10, 50), anchor: 'right' }];
+        const constraints = [{ id: 'centre', type: 'centreX', control: 2, target: 1 }];
+        const result = ConstraintService.solve(controls, constraints, panel);
+
+        expect(result.controls[1]).toMatchObject({ anchor: 'right', x: -35.3 });
+    });
+});
+
+describe('describe', () => {
+    test('names the controls by label', () => {
+        const controls = createControls();
+        const [spacing, , top] = createConstraints();
+
+        expect(ConstraintService.describe(spacing, controls)).toBe('Equal vertical spacing: Jack 1, Jack 2, Jack 3');
+        expect(ConstraintService.describe(top, controls)).toBe('Jack 1 15mm from the top edge');
+        expect(ConstraintService.describe({ ...top, controls: [9] }, controls)).toBe('missing control 15mm from the top edge');
+    });
+});
@@ -0,0 +1,331 @@
+import ErrorService from './ErrorService.js';
+import ConfigService from './ConfigService.js';
+import PanelStandardsService from './PanelStandardsService.js';
+import ComponentLibraryService from './ComponentLibraryService.js';
+
+class DepthStackService {
+    constructor() {
+        // Shrouded Eurorack power headers (2.54 mm pitch, two rows), mm
+        this._powerHeaders = {
+            10: { length: 20.3, width: 8.85, height: 9 },
+            16: { length: 27.9, width: 8.85, height: 9 }
+        };
+        this._defaultHeaderPins = 10;
+
+        // Header orientation (long axis on the panel) and the ends its
+        // red-stripe / -12V side can face. Rotation turns the header from
+        // its drawn pose: vertical, stripe at the bottom, key notch right.
+        this._headerOrientations = {
+            vertical: { bottom: 0, top: 180 },
+            horizontal: { left: 90, right: 270 }
+        };
+
+        this._maxPcbs = 4;
+    }
+
+    /**
+     * Resolve the behind-panel stack of a module. Distances are mm behind
+     * the panel's rear face. Unless its spacing is given, the first PCB
+     * sits behind the deepest panel-mounted part, and never closer than
+     * the board spacing; later PCBs are spaced from the one in front of
+     * them and held by standoffs.
+     * @param {Object} moduleSpec - Module specification with controls and optional stack
+     * @param {Object} moduleSpec.stack - { pcbs: [{ spacing, thickness }], standoffDiameter,
+     *   powerHeader: { pins, x, y, orientation, stripe, pcb }, caseDepth }
+     * @returns {Object} PCBs, standoffs, power header, part depth, overall depth and
+     *   the depth of the case the module is meant for. PCB left/top and header x/y
+     *   are panel mm from the top-left corner.
+     */
+    getStack(moduleSpec) {
+        const stack = moduleSpec.stack || {};
+        const { actualWidth: width, height } = PanelStandardsService.getPanelDimensions(moduleSpec);
+        const railZone = PanelStandardsService.getFormat(moduleSpec).railZone;
+
+        const pcbThickness = ConfigService.get('stack.pcbThickness', 1.6);
+        const pcbSpacing = ConfigService.get('stack.pcbSpacing', 11);
+        const edgeClearance = ConfigService.get('stack.pcbEdgeClearance', 1);
+        const standoffDiameter = stack.standoffDiameter || ConfigService.get('stack.standoffDiameter', 5);
+
+        // Pot and jack bodies hang off the front PCB
+        const partDepth = (moduleSpec.controls || []).reduce((deepest, control) => {
+            const part = ComponentLibraryService.resolvePart(control);
+            return Math.max(deepest, part && part.depthBehindPanel ? part.depthBehindPanel : 0);
+        }, 0);
+
+        // PCBs stay clear of the panel edges and the rails
+        const pcbWidth = width - 2 * edgeClearance;
+        const pcbHeight = height - 2 * railZone;
+
+        let distance = 0;
+        const pcbs = (stack.pcbs && stack.pcbs.length ? stack.pcbs : [{}]).map((pcb, index) => {
+            const spacing = pcb.spacing ?? (index === 0 ? Math.max(partDepth, pcbSpacing) : pcbSpacing);
+            const front = distance + spacing;
+            const thickness = pcb.thickness || pcbThickness;
+            distance = front + thickness;
+
+            return {
+                index,
+                spacing,
+                front,
+                back: distance,
+                thickness,
+                left: edgeClearance,
+                top: railZone,
+                width: pcbWidth,
+                height: pcbHeight
+            };
+        });
+
+        // Two standoffs per gap between PCBs, near the top and bottom edges
+        const standoffs = [];
+        pcbs.slice(1).forEach((pcb, i) => {
+            const from = pcbs[i].back;
+            [1, -1].forEach(side => {
+                standoffs.push({
+                    x: 0,
+                    y: side * (pcbHeight / 2 - standoffDiameter),
+                    from,
+                    to: pcb.front,
+                    diameter: standoffDiameter
+                });
+            });
+        });
+
+        const powerHeader = this._resolvePowerHeader(stack.powerHeader || {}, pcbs, { width, height, railZone });
+
+        return {
+            pcbs,
+            standoffs,
+            powerHeader,
+            partDepth,
+            depth: this._round(Math.max(partDepth, powerHeader.to)),
+            caseDepth: stack.caseDepth || PanelStandardsService.getFormat(moduleSpec).depthRange.max
+        };
+    }
+
+    /**
+     * Overall module depth behind the panel
+     * @param {Object} moduleSpec - Module specification
+     * @returns {number} Depth in mm
+     */
+    getDepth(moduleSpec) {
+        return this.getStack(moduleSpec).depth;
+    }
+
+    /**
+     * Validate a stack specification
+     * @param {Object} stack - Stack specification
+     * @returns {Object} Validation result
+     */
+    validateStack(stack) {
+        const errors = [];
+
+        if (typeof stack !== 'object' || stack === null) {
+            return { isValid: false, errors: ['stack must be an object'] };
+        }
+
+        if (stack.pcbs !== undefined) {
+            if (!Array.isArray(stack.pcbs) || stack.pcbs.length === 0 || stack.pcbs.length > this._maxPcbs) {
+                errors.push(`stack.pcbs must list 1 to ${this._maxPcbs} PCBs`);
+            } else {
+                stack.pcbs.forEach((pcb, index) => {
+                    if (pcb.spacing !== undefined && pcb.spacing !== null && !(pcb.spacing >= 0)) {
+                        errors.push(`PCB ${index + 1} spacing must be zero or more`);
+                    }
+                    if (pcb.thickness !== undefined && !(pcb.thickness > 0)) {
+                        errors.push(`PCB ${index + 1} thickness must be positive`);
+                    }
+                });
+            }
+        }
+
+        if (stack.powerHeader) {
+            const header = stack.powerHeader;
+            if (header.pins !== undefined && !this._powerHeaders[header.pins]) {
+                errors.push(`Power header must have ${Object.keys(this._powerHeaders).join(' or ')} pins`);
+            }
+            if (header.orientation !== undefined && !this._headerOrientations[header.orientation]) {
+                errors.push(`Power header orientation must be ${Object.keys(this._headerOrientations).join(' or ')}`);
+            }
+            if (header.stripe !== undefined) {
+                const stripes = this._headerOrientations[header.orientation || 'vertical'];
+                if (stripes && stripes[header.stripe] === undefined) {
+                    errors.push(`A ${header.orientation || 'vertical'} power header's -12V stripe must face ${Object.keys(stripes).join(' or ')}`);
+                }
+            }
+            ['x', 'y'].forEach(axis => {
+                if (header[axis] !== undefined && !Number.isFinite(header[axis])) {
+                    errors.push(`Power header ${axis} must be a number`);
+                }
+            });
+            const pcbCount = Array.isArray(stack.pcbs) && stack.pcbs.length ? stack.pcbs.length : 1;
+            if (header.pcb !== undefined && !(Number.isInteger(header.pcb) && header.pcb >= 0 && header.pcb < pcbCount)) {
+                errors.push(`Power header PCB must be between 1 and ${pcbCount}`);
+            }
+        }
+
+        if (stack.caseDepth !== undefined && !(stack.caseDepth > 0)) {
+            errors.push('Case depth must be positive');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Build the 3D behind-panel stack. The origin is the centre of the
+     * panel's rear face; the stack extends along -Z.
+     * @param {Object} moduleSpec - Module specification
+     * @returns {THREE.Group|null} PCBs, standoffs and power header
+     */
+    createStackModel(moduleSpec) {
+        try {
+            const stack = this.getStack(moduleSpec);
+            const group = new THREE.Group();
+            group.name = 'depth_stack';
+            group.userData.stack = { depth: stack.depth, pcbs: stack.pcbs.length };
+
+            const pcbMaterial = new THREE.MeshLambertMaterial({ color: 0x0a5d0a });
+            stack.pcbs.forEach(pcb => {
+                const mesh = new THREE.Mesh(new THREE.BoxGeometry(pcb.width, pcb.height, pcb.thickness), pcbMaterial);
+                mesh.name = `pcb_${pcb.index + 1}`;
+                mesh.position.z = -(pcb.front + pcb.thickness / 2);
+                group.add(mesh);
+            });
+
+            const standoffMaterial = new THREE.MeshLambertMaterial({ color: 0xc8a040 });
+            stack.standoffs.forEach((standoff, index) => {
+                const length = standoff.to - standoff.from;
+                const geometry = new THREE.CylinderGeometry(standoff.diameter / 2, standoff.diameter / 2, length, 6);
+                // CylinderGeometry runs along Y; turn it to run between the boards
+                geometry.rotateX(Math.PI / 2);
+                const mesh = new THREE.Mesh(geometry, standoffMaterial);
+                mesh.name = `standoff_${index + 1}`;
+                mesh.position.set(standoff.x, standoff.y, -(standoff.from + length / 2));
+                group.add(mesh);
+            });
+
+            group.add(this._createPowerHeaderModel(stack.powerHeader, PanelStandardsService.getPanelDimensions(moduleSpec)));
+
+            return group;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Depth Stack Model Generation',
+                moduleSpec: moduleSpec
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Place the power header on its PCB. Unless given, it sits on the
+     * rearmost board, centred across the panel in the lower half, and runs
+     * vertically when the board is tall enough.
+     * @param {Object} spec - Power header specification
+     * @param {Array<Object>} pcbs - Resolved PCBs
+     * @param {Object} panel - Panel width, height and rail zone in mm
+     * @returns {Object} Header with size, panel position, footprint and depth range
+     * @private
+     */
+    _resolvePowerHeader(spec, pcbs, panel) {
+        const pins = spec.pins || this._defaultHeaderPins;
+        const header = this._powerHeaders[pins] || this._powerHeaders[this._defaultHeaderPins];
+        const pcb = pcbs[spec.pcb] || pcbs[pcbs.length - 1];
+
+        const orientation = this._headerOrientations[spec.orientation]
+            ? spec.orientation
+            : (header.length <= pcb.height ? 'vertical' : 'horizontal');
+        const stripes = this._headerOrientations[orientation];
+        const stripe = stripes[spec.stripe] !== undefined ? spec.stripe : Object.keys(stripes)[0];
+
+        const footprint = orientation === 'vertical'
+            ? { width: header.width, height: header.length }
+            : { width: header.length, height: header.width };
+        const lowerHalf = panel.height - panel.railZone - footprint.height / 2 - ConfigService.get('stack.headerEdgeMargin', 5);
+
+        return {
+            pins,
+            ...header,
+            orientation,
+            stripe,
+            rotation: stripes[stripe],
+            x: spec.x ?? panel.width / 2,
+            y: spec.y ?? Math.max(panel.height / 2, lowerHalf),
+            footprint,
+            pcb: pcb.index,
+            from: pcb.back,
+            to: pcb.back + header.height
+        };
+    }
+
+    /**
+     * Build the shrouded header with its key notch and a red stripe
+     * marking the -12V end
+     * @param {Object} header - Resolved power header
+     * @param {Object} panel - Panel dimensions
+     * @returns {THREE.Group} Header model, positioned in stack coordinates
+     * @private
+     */
+    _createPowerHeaderModel(header, panel) {
+        const group = new THREE.Group();
+        group.name = 'power_header';
+        group.userData.powerHeader = {
+            pins: header.pins,
+            orientation: header.orientation,
+            stripe: header.stripe,
+            x: header.x,
+            y: header.y,
+            pcb: header.pcb + 1
+        };
+
+        const shroud = new THREE.Mesh(
+            new THREE.BoxGeometry(header.width, header.length, header.height),
+            new THREE.MeshLambertMaterial({ color: 0x1a1a1a })
+        );
+        shroud.name = 'power_header_shroud';
+        group.add(shroud);
+
+        // Polarising notch in the middle of one long wall
+        const key = new THREE.Mesh(
+            new THREE.BoxGeometry(1, 4.5, header.height / 2),
+            new THREE.MeshLambertMaterial({ color: 0x555555 })
+        );
+        key.name = 'power_header_key';
+        key.position.set(header.width / 2 + 0.5, 0, -header.height / 4);
+        group.add(key);
+
+        // Red stripe across the -12V end, on the face the ribbon plugs into
+        const stripe = new THREE.Mesh(
+            new THREE.BoxGeometry(header.width, 2, 0.2),
+            new THREE.MeshLambertMaterial({ color: 0xcc0000 })
+        );
+        stripe.name = 'power_header_stripe';
+        stripe.position.set(0, -(header.length / 2 - 1), -(header.height / 2 + 0.1));
+        group.add(stripe);
+
+        // Panel coordinates run from the top-left corner with Y down
+        group.rotation.z = -header.rotation * Math.PI / 180;
+        group.position.set(
+            header.x - panel.actualWidth / 2,
+            panel.height / 2 - header.y,
+            -(header.from + header.height / 2)
+        );
+
+        return group;
+    }
+
+    /**
+     * Round up to 0.1 mm so the declared depth never undersells the stack
+     * @param {number} value - Depth in mm
+     * @returns {number} Rounded depth
+     * @private
+     */
+    _round(value) {
+        return Math.ceil(value * 10 - 1e-9) / 10;
+    }
+}
+
+// Singleton export
+export default new DepthStackService();
@@ -0,0 +1,78 @@
+import DepthStackService from './DepthStackService.js';
+import DesignRuleService from './DesignRuleService.js';
+
+const pot = { unit: 'mm', anchor: 'left', x: 10, y: 100, type: 'pot', partId: 'alpha-9mm-pot', label: 'Level' };
+const createModuleSpec = (stack, extra = {}) => ({ name: 'Test', width: 8, controls: [pot], stack, ...extra });
+
+describe('getStack', () => {
+    test('puts the first PCB behind the deepest part and spaces the next one', () => {
+        const stack = DepthStackService.getStack(createModuleSpec({ pcbs: [{}, {}] }));
+
+        expect(stack.partDepth).toBe(12.5);
+        expect(stack.pcbs.map(pcb => [pcb.front, pcb.thickness])).toEqual([[12.5, 1.6], [25.1, 1.6]]);
+        expect(stack.pcbs[0]).toMatchObject({ left: 1, top: 10, width: 38.3, height: 108.5 });
+    });
+
+    test('holds each pair of PCBs with two standoffs', () => {
+        const stack = DepthStackService.getStack(createModuleSpec({ pcbs: [{}, {}, { spacing: 8 }] }));
+
+        expect(stack.standoffs).toHaveLength(4);
+        expect(stack.standoffs[2].from).toBeCloseTo(stack.pcbs[1].back);
+        expect(stack.standoffs[2].to).toBeCloseTo(stack.pcbs[2].front);
+        expect(stack.pcbs[2].front - stack.pcbs[1].back).toBeCloseTo(8);
+    });
+
+    test('measures the depth to the back of the power header', () => {
+        const stack = DepthStackService.getStack(createModuleSpec({ pcbs: [{}, {}] }));
+
+        expect(stack.depth).toBe(35.7);
+        expect(DepthStackService.getDepth(createModuleSpec())).toBe(23.1);
+    });
+});
+
+describe('createStackModel', () => {
+    test('builds the boards, standoffs and power header behind the panel', () => {
+        const group = DepthStackService.createStackModel(createModuleSpec({ pcbs: [{}, {}] }));
+        const names = group.children.map(child => child.name);
+
+        expect(names).toEqual(['pcb_1', 'pcb_2', 'standoff_1', 'standoff_2', 'power_header']);
+        group.children.forEach(child => expect(child.position.z).toBeLessThan(0));
+    });
+});
+
+describe('power header', () => {
+    test('defaults to a vertical 10-pin header on the rearmost board, stripe down', () => {
+        const header = DepthStackService.getStack(createModuleSpec({ pcbs: [{}, {}] })).powerHeader;
+
+        expect(header).toMatchObject({ pins: 10, orientation: 'vertical', stripe: 'bottom', rotation: 0, pcb: 1, x: 20.15 });
+        expect(header.y).toBeCloseTo(128.5 - 10 - 20.3 / 2 - 5);
+    });
+
+    test('turns horizontal when the board is too short', () => {
+        const header = DepthStackService.getStack(createModuleSpec({ powerHeader: { pins: 16 } }, { format: 'intellijel-1u' })).powerHeader;
+
+        expect(header).toMatchObject({ pins: 16, orientation: 'horizontal', stripe: 'left', rotation: 90 });
+        expect(header.footprint).toEqual({ width: 27.9, height: 8.85 });
+    });
+
+    test('rejects unknown pins, stripes and boards', () => {
+        const result = DepthStackService.validateStack({ powerHeader: { pins: 12, orientation: 'vertical', stripe: 'left', pcb: 2 } });
+
+        expect(result.errors).toEqual([
+            'Power header must have 10 or 16 pins',
+            "A vertical power header's -12V stripe must face bottom or top",
+            'Power header PCB must be between 1 and 1'
+        ]);
+    });
+
+    test('is checked for a covering board and the room left for the ribbon', () => {
+        const covered = DesignRuleService.checkModule(createModuleSpec({ pcbs: [{}, {}], powerHeader: { pcb: 0 }, caseDepth: 30 }));
+        const shallow = DesignRuleService.checkModule(createModuleSpec({ caseDepth: 15 }));
+
+        expect(covered.errors).toEqual([
+            '10-pin power header is covered by PCB 2; the ribbon cable cannot reach it',
+            '10-pin power header leaves 6.9mm above the case floor for the ribbon cable to bend (needs 10mm)'
+        ]);
+        expect(shallow.errors).toEqual(['10-pin power header reaches 23.1mm behind the panel, past the 15mm case floor']);
+    });
+});
@@ -0,0 +1,261 @@
+import ErrorService from './ErrorService.js';
+import ConfigService from './ConfigService.js';
+import PanelStandardsService from './PanelStandardsService.js';
+import PanelDrawingService from './PanelDrawingService.js';
+import ComponentLibraryService from './ComponentLibraryService.js';
+import DepthStackService from './DepthStackService.js';
+
+class DesignRuleService {
+    constructor() {
+        // Rule identifiers and the severity of their violations
+        this._rules = {
+            holeSpacing: 'error',     // Material left between neighbouring holes
+            capOverlap: 'error',      // Knob skirts / caps colliding in front of the panel
+            bodyOverlap: 'error',     // Part bodies colliding behind the panel
+            fingerSpacing: 'warning', // Room to grab a knob between its neighbours
+            edgeDistance: 'error',    // Holes too close to the panel edge
+            railZone: 'error',        // Part bodies in the rail keep-out zones
+            powerHeader: 'error'      // Power header off its PCB, covered or blocked by the case floor
+        };
+    }
+
+    /**
+     * Run the panel design-rule check for a module layout.
+     * Footprints come from the component library; coordinates are mm
+     * from the panel's top-left corner.
+     * @param {Object} moduleSpec - Module specification with controls
+     * @returns {Object|null} Result with isValid, errors, warnings and violations
+     */
+    checkModule(moduleSpec) {
+        try {
+            const panel = PanelDrawingService.getPanelGeometry(moduleSpec);
+            const railZone = PanelStandardsService.getFormat(moduleSpec).railZone;
+            const limits = {
+                minHoleWeb: ConfigService.get('designRules.minHoleWeb', 1.5),
+                minFingerSpacing: ConfigService.get('designRules.minFingerSpacing', 4),
+                minEdgeDistance: ConfigService.get('designRules.minEdgeDistance', 1.5)
+            };
+
+            const footprints = panel.holes.map((hole, index) => {
+                const part = ComponentLibraryService.getPart(hole.partId);
+                return {
+                    index: index,
+                    label: hole.label || `${hole.type} ${index + 1}`,
+                    type: part.type,
+                    hole: this._shape(hole, hole),
+                    cap: part.cap ? this._shape(hole, part.cap) : null,
+                    body: part.body ? this._shape(hole, part.body) : null
+                };
+            });
+            const mountingHoles = panel.mountingHoles.map(hole => ({
+                id: hole.id,
+                hole: this._shape(hole, { width: Math.max(hole.diameter, hole.slotLength || 0), height: hole.diameter })
+            }));
+
+            const violations = [];
+            const report = (rule, message, controls, extra = {}) => {
+                violations.push({ rule, severity: this._rules[rule], message, controls, ...extra });
+            };
+
+            // Pairwise checks between controls
+            footprints.forEach((a, i) => {
+                footprints.slice(i + 1).forEach(b => {
+                    const pair = [a.index, b.index];
+                    const holeGap = this._gap(a.hole, b.hole);
+
+                    if (holeGap < 0) {
+                        report('holeSpacing', `${a.label} and ${b.label} holes overlap`, pair);
+                    } else if (holeGap < limits.minHoleWeb) {
+                        report('holeSpacing', `${a.label} and ${b.label} holes are ${this._mm(holeGap)} apart (minimum ${limits.minHoleWeb}mm)`, pair);
+                    }
+
+                    if (a.cap && b.cap) {
+                        const capGap = this._gap(a.cap, b.cap);
+                        if (capGap < 0) {
+                            report('capOverlap', `${a.label} and ${b.label} overlap in front of the panel`, pair);
+                        } else if (capGap < limits.minFingerSpacing && (a.type === 'knob' || b.type === 'knob')) {
+                            report('fingerSpacing', `${a.label} and ${b.label} leave ${this._mm(capGap)} finger room (recommended ${limits.minFingerSpacing}mm)`, pair);
+                        }
+                    }
+
+                    if (a.body && b.body && this._gap(a.body, b.body) < 0) {
+                        report('bodyOverlap', `${a.label} and ${b.label} bodies collide behind the panel`, pair);
+                    }
+                });
+
+                // Controls against the rail mounting holes
+                mountingHoles.forEach(mountingHole => {
+                    const holeGap = this._gap(a.hole, mountingHole.hole);
+                    if (holeGap < limits.minHoleWeb) {
+                        report('holeSpacing', `${a.label} is ${this._mm(holeGap)} from mounting hole ${mountingHole.id} (minimum ${limits.minHoleWeb}mm)`, [a.index], { mountingHole: mountingHole.id });
+                    }
+                });
+
+                // Panel edge
+                const bounds = this._bounds(a.hole);
+                const edgeDistance = Math.min(bounds.left, panel.width - bounds.right, bounds.top, panel.height - bounds.bottom);
+                if (edgeDistance < limits.minEdgeDistance) {
+                    report('edgeDistance', `${a.label} hole is ${this._mm(edgeDistance)} from the panel edge (minimum ${limits.minEdgeDistance}mm)`, [a.index]);
+                }
+
+                // Rails sit behind the panel, so check what goes through and behind it;
+                // one rail-zone report per control is enough
+                const inRailZone = [a.hole, a.body].filter(Boolean).some(shape => {
+                    const { top, bottom } = this._bounds(shape);
+                    return top < railZone || bottom > panel.height - railZone;
+                });
+                if (inRailZone) {
+                    report('railZone', `${a.label} reaches into the ${railZone}mm rail zone`, [a.index]);
+                }
+            });
+
+            this._checkPowerHeader(DepthStackService.getStack(moduleSpec), report);
+
+            const errors = violations.filter(v => v.severity === 'error').map(v => v.message);
+            const warnings = violations.filter(v => v.severity === 'warning').map(v => v.message);
+
+            return {
+                isValid: errors.length === 0,
+                errors: errors,
+                warnings: warnings,
+                violations: violations
+            };
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Panel Design Rule Check',
+                moduleSpec: moduleSpec
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Violations affecting a single control
+     * @param {Object} result - Result of checkModule
+     * @param {number} index - Control index
+     * @returns {Array<Object>} Violations involving the control
+     */
+    getControlViolations(result, index) {
+        if (!result) return [];
+        return result.violations.filter(violation => violation.controls.includes(index));
+    }
+
+    /**
+     * Check the power header can take its ribbon cable: it must sit on its
+     * PCB, no board may cover it, and the plug and the ribbon's bend must
+     * fit in front of the case floor.
+     * @param {Object} stack - Result of DepthStackService.getStack
+     * @param {Function} report - Violation reporter
+     * @private
+     */
+    _checkPowerHeader(stack, report) {
+        const header = stack.powerHeader;
+        const pcb = stack.pcbs[header.pcb];
+        const name = `${header.pins}-pin power header`;
+
+        // Narrow modules let the shroud overhang the board, so only its centre must be on it
+        if (header.x < pcb.left || header.x > pcb.left + pcb.width ||
+            header.y < pcb.top || header.y > pcb.top + pcb.height) {
+            report('powerHeader', `${name} is not on PCB ${pcb.index + 1}`, []);
+        }
+
+        const behind = stack.pcbs.find(other => other.index > pcb.index);
+        if (behind) {
+            report('powerHeader', `${name} is covered by PCB ${behind.index + 1}; the ribbon cable cannot reach it`, []);
+        }
+
+        const ribbonClearance = ConfigService.get('stack.ribbonClearance', 10);
+        const room = stack.caseDepth - header.to;
+        if (room < 0) {
+            report('powerHeader', `${name} reaches ${this._mm(header.to)} behind the panel, past the ${stack.caseDepth}mm case floor`, []);
+        } else if (room < ribbonClearance) {
+            report('powerHeader', `${name} leaves ${this._mm(room)} above the case floor for the ribbon cable to bend (needs ${ribbonClearance}mm)`, []);
+        }
+    }
+
+    /**
+     * Footprint shape centred on a panel position. Rotated rectangles are
+     * checked by their bounding box, which errs on the safe side.
+     * @param {Object} centre - Position with x and y in mm, and optional rotation in degrees
+     * @param {Object} size - Round ({ diameter }) or rectangular ({ width, height }) size
+     * @returns {Object} Circle ({ x, y, r }) or rectangle ({ x, y, w, h })
+     * @private
+     */
+    _shape(centre, size) {
+        if (size.diameter) {
+            return { x: centre.x, y: centre.y, r: size.diameter / 2 };
+        }
+
+        const angle = (centre.rotation || 0) * Math.PI / 180;
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        return {
+            x: centre.x,
+            y: centre.y,
+            w: size.width * cos + size.height * sin,
+            h: size.width * sin + size.height * cos
+        };
+    }
+
+    /**
+     * Axis-aligned bounds of a footprint shape
+     * @param {Object} shape - Footprint shape
+     * @returns {Object} left, right, top and bottom in mm
+     * @private
+     */
+    _bounds(shape) {
+        const halfWidth = shape.r !== undefined ? shape.r : shape.w / 2;
+        const halfHeight = shape.r !== undefined ? shape.r : shape.h / 2;
+        return {
+            left: shape.x - halfWidth,
+            right: shape.x + halfWidth,
+            top: shape.y - halfHeight,
+            bottom: shape.y + halfHeight
+        };
+    }
+
+    /**
+     * Clearance between two footprint shapes (negative when they overlap)
+     * @param {Object} a - Footprint shape
+     * @param {Object} b - Footprint shape
+     * @returns {number} Gap in mm
+     * @private
+     */
+    _gap(a, b) {
+        if (a.r !== undefined && b.r !== undefined) {
+            return Math.hypot(a.x - b.x, a.y - b.y) - a.r - b.r;
+        }
+
+        if (a.r !== undefined || b.r !== undefined) {
+            const circle = a.r !== undefined ? a : b;
+            const rect = this._bounds(a.r !== undefined ? b : a);
+            const dx = Math.max(rect.left - circle.x, 0, circle.x - rect.right);
+            const dy = Math.max(rect.top - circle.y, 0, circle.y - rect.bottom);
+            const outside = Math.hypot(dx, dy);
+            // Centre inside the rectangle counts as full overlap
+            return outside > 0 ? outside - circle.r : -circle.r;
+        }
+
+        const boundsA = this._bounds(a);
+        const boundsB = this._bounds(b);
+        return Math.max(
+            boundsB.left - boundsA.right,
+            boundsA.left - boundsB.right,
+            boundsB.top - boundsA.bottom,
+            boundsA.top - boundsB.bottom
+        );
+    }
+
+    /**
+     * Format a distance for messages
+     * @param {number} value - Distance in mm
+     * @returns {string} Rounded distance with unit
+     * @private
+     */
+    _mm(value) {
+        return `${Math.max(0, value).toFixed(1)}mm`;
+    }
+}
+
+// Singleton export
+export default new DesignRuleService();
@@ -0,0 +1,50 @@
+import DesignRuleService from './DesignRuleService.js';
+
+const control = (x, y, partId, type, label) => ({ unit: 'mm', anchor: 'left', x, y, partId, type, label });
+const check = (...controls) => DesignRuleService.checkModule({ name: 'Test', width: 8, controls });
+
+describe('checkModule', () => {
+    test('passes a well spaced layout', () => {
+        const result = check(
+            control(20, 40, 'davies-1900h', 'knob', 'Freq'),
+            control(10, 100, 'thonkiconn-pj398sm', 'jack', 'In'),
+            control(30, 100, 'thonkiconn-pj398sm', 'jack', 'Out')
+        );
+
+        expect(result.isValid).toBe(true);
+        expect(result.violations).toEqual([]);
+    });
+
+    test('reports colliding holes, caps and bodies for the pair', () => {
+        const result = check(
+            control(20, 40, 'thonkiconn-pj398sm', 'jack', 'In'),
+            control(24, 40, 'thonkiconn-pj398sm', 'jack', 'Out')
+        );
+
+        expect(result.isValid).toBe(false);
+        expect(result.violations.map(violation => violation.rule)).toEqual(['holeSpacing', 'capOverlap', 'bodyOverlap']);
+        result.violations.forEach(violation => expect(violation.controls).toEqual([0, 1]));
+        expect(DesignRuleService.getControlViolations(result, 1)).toHaveLength(3);
+    });
+
+    test('warns when knobs leave too little finger room', () => {
+        const result = check(
+            control(10.5, 40, 'davies-1900h', 'knob', 'Freq'),
+            control(29.5, 40, 'davies-1900h', 'knob', 'Fine')
+        );
+
+        expect(result.isValid).toBe(true);
+        expect(result.warnings).toEqual(['Freq and Fine leave 2.3mm finger room (recommended 4mm)']);
+    });
+
+    test('reports each control with the same label on its own', () => {
+        const result = check(
+            control(10, 5, 'thonkiconn-pj398sm', 'jack', 'Out'),
+            control(30, 5, 'thonkiconn-pj398sm', 'jack', 'Out')
+        );
+        const railZone = result.violations.filter(violation => violation.rule === 'railZone');
+
+        expect(railZone.map(violation => violation.controls)).toEqual([[0], [1]]);
+        expect(railZone[0].message).toBe(railZone[1].message);
+    });
+});
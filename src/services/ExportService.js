@@ -0,0 +1,1104 @@
+import ErrorService from './ErrorService.js';
+import ConfigService from './ConfigService.js';
+
+class ExportService {
+    constructor() {
+        // MIME types and file extensions per export format
+        this._formats = {
+            stl: { extension: 'stl', mimeType: 'model/stl' },
+            obj: { extension: 'obj', mimeType: 'model/obj' },
+            glb: { extension: 'glb', mimeType: 'model/gltf-binary' },
+            '3mf': { extension: '3mf', mimeType: 'model/3mf' }
+        };
+
+        // Binary STL layout (bytes)
+        this._stlHeaderSize = 80;
+        this._stlTriangleSize = 50;
+
+        // glTF constants
+        this._gltf = {
+            magic: 0x46546c67,  // 'glTF'
+            version: 2,
+            chunkJson: 0x4e4f534a,  // 'JSON'
+            chunkBin: 0x004e4942,  // 'BIN\0'
+            componentTypes: {
+                Uint16Array: 5123,
+                Uint32Array: 5125,
+                Float32Array: 5126
+            },
+            targets: {
+                arrayBuffer: 34962,
+                elementArrayBuffer: 34963
+            },
+            metresPerMillimetre: 0.001
+        };
+
+        // 3MF package constants
+        this._threeMF = {
+            coreNamespace: 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02',
+            moduleNamespace: 'urn:eurorack-3d-modeler:3mf:module',
+            modelPath: '3D/3dmodel.model',
+            modelRelationship: 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel'
+        };
+
+        // Lazily built CRC-32 lookup table for ZIP containers
+        this._crcTable = null;
+    }
+
+    /**
+     * Export a 3D object in the requested format
+     * @param {THREE.Object3D} object - Module group or any object hierarchy
+     * @param {string} format - Export format (stl, obj, glb, 3mf)
+     * @param {Object} options - Format specific options
+     * @param {boolean} options.ignoreDesignRules - Export even if the module fails its design-rule check
+     * @returns {Object|null} Export result with data, filename, mimeType
+     *   and any companion files (e.g. the OBJ material library)
+     */
+    exportModel(object, format = ConfigService.get('export.defaultFormat', 'stl'), options = {}) {
+        try {
+            if (!object) {
+                throw new Error('No model to export');
+            }
+
+            const designRules = object.userData.module && object.userData.module.designRules;
+            if (designRules && designRules.errors.length > 0 && !options.ignoreDesignRules) {
+                throw new Error(`Module fails ${designRules.errors.length} design rule(s): ${designRules.errors.join('; ')}`);
+            }
+
+            const formatKey = format.toLowerCase();
+            const formatInfo = this._formats[formatKey];
+            if (!formatInfo) {
+                throw new Error(`Unsupported export format: ${format}`);
+            }
+
+            const baseName = this._sanitizeFilename(options.name || object.name);
+            const extraFiles = [];
+            let data;
+
+            switch (formatKey) {
+                case 'stl':
+                    data = this.exportSTL(object, options);
+                    break;
+                case 'obj': {
+                    const mtlFilename = `${baseName}.mtl`;
+                    const result = this.exportOBJ(object, { ...options, mtlFilename });
+                    data = result.obj;
+                    extraFiles.push({ data: result.mtl, filename: mtlFilename, mimeType: 'text/plain' });
+                    break;
+                }
+                case 'glb':
+                    data = this.exportGLB(object, options);
+                    break;
+                case '3mf':
+                    data = this.export3MF(object, options);
+                    break;
+            }
+
+            return {
+                data: data,
+                filename: `${baseName}.${formatInfo.extension}`,
+                mimeType: formatInfo.mimeType,
+                extraFiles: extraFiles
+            };
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Model Export',
+                format: format
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Export a 3D object as STL in millimetres
+     * @param {THREE.Object3D} object - Object hierarchy to export
+     * @param {Object} options - Export options
+     * @param {boolean} options.binary - Binary (default) or ASCII STL
+     * @param {string} options.name - Solid name / header text
+     * @returns {ArrayBuffer|string} STL data
+     */
+    exportSTL(object, options = {}) {
+        const binary = options.binary ?? ConfigService.get('export.stlBinary', true);
+        const name = options.name || object.name || 'module';
+        const triangles = this._collectTriangles(object);
+
+        return binary
+            ? this._writeBinarySTL(triangles, name)
+            : this._writeAsciiSTL(triangles, name);
+    }
+
+    /**
+     * Export a 3D object as Wavefront OBJ with a matching MTL library.
+     * Every mesh becomes its own named object so individual controls
+     * stay selectable after import.
+     * @param {THREE.Object3D} object - Object hierarchy to export
+     * @param {Object} options - Export options
+     * @param {string} options.mtlFilename - Material library referenced by the OBJ
+     * @param {string[]} options.comments - Extra header comment lines
+     * @returns {Object} OBJ and MTL text ({ obj, mtl })
+     */
+    exportOBJ(object, options = {}) {
+        const mtlFilename = options.mtlFilename || `${this._sanitizeFilename(object.name)}.mtl`;
+        const objLines = [
+            ...(options.comments || []).map(comment => `# ${comment}`),
+            '# Generated by EuroRack 3D Modeler',
+            '# Units: millimetres',
+            `mtllib ${mtlFilename}`
+        ];
+        const materials = new Map();
+        const usedNames = new Set();
+        let vertexOffset = 1;
+        let normalOffset = 1;
+
+        object.updateMatrixWorld(true);
+
+        this._forEachExportableMesh(object, (mesh) => {
+            const geometry = mesh.geometry.attributes.normal
+                ? mesh.geometry
+                : this._withVertexNormals(mesh.geometry);
+            const position = geometry.attributes.position;
+            const normal = geometry.attributes.normal;
+            const index = geometry.index;
+            const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+            const objectName = this._uniqueName(mesh.name || 'mesh', usedNames);
+            const materialName = this._registerMaterial(mesh, objectName, materials);
+
+            objLines.push('', `o ${objectName}`, `usemtl ${materialName}`);
+
+            for (let i = 0; i < position.count; i++) {
+                const vertex = new THREE.Vector3()
+                    .fromBufferAttribute(position, i)
+                    .applyMatrix4(mesh.matrixWorld);
+                objLines.push(`v ${this._formatVector(vertex)}`);
+            }
+
+            for (let i = 0; i < normal.count; i++) {
+                const vertexNormal = new THREE.Vector3()
+                    .fromBufferAttribute(normal, i)
+                    .applyMatrix3(normalMatrix)
+                    .normalize();
+                objLines.push(`vn ${this._formatVector(vertexNormal)}`);
+            }
+
+            const count = index ? index.count : position.count;
+            for (let i = 0; i + 2 < count; i += 3) {
+                const face = [0, 1, 2].map(offset => {
+                    const vertexIndex = index ? index.getX(i + offset) : i + offset;
+                    return `${vertexIndex + vertexOffset}//${vertexIndex + normalOffset}`;
+                });
+                objLines.push(`f ${face.join(' ')}`);
+            }
+
+            vertexOffset += position.count;
+            normalOffset += normal.count;
+        });
+
+        return {
+            obj: objLines.join('\n'),
+            mtl: this._writeMTL(materials)
+        };
+    }
+
+    /**
+     * Register a mesh material for the MTL library
+     * @param {THREE.Mesh} mesh - Mesh using the material
+     * @param {string} objectName - Exported object name, used as fallback material name
+     * @param {Map} materials - Registered materials keyed by material uuid
+     * @returns {string} Material name to reference with usemtl
+     * @private
+     */
+    _registerMaterial(mesh, objectName, materials) {
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        if (!material) return 'default';
+
+        if (!materials.has(material.uuid)) {
+            const usedNames = new Set(Array.from(materials.values()).map(entry => entry.name));
+            materials.set(material.uuid, {
+                name: this._uniqueName(material.name || `${objectName}_material`, usedNames),
+                material: material
+            });
+        }
+
+        return materials.get(material.uuid).name;
+    }
+
+    /**
+     * Write registered materials as an MTL library
+     * @param {Map} materials - Registered materials
+     * @returns {string} MTL text
+     * @private
+     */
+    _writeMTL(materials) {
+        const lines = ['# Generated by EuroRack 3D Modeler'];
+
+        materials.forEach(({ name, material }) => {
+            const color = material.color || new THREE.Color(0xcccccc);
+            const emissive = material.emissive || new THREE.Color(0x000000);
+            const opacity = material.transparent ? material.opacity : 1;
+
+            lines.push(
+                '',
+                `newmtl ${name}`,
+                `Ka ${this._formatColor(color)}`,
+                `Kd ${this._formatColor(color)}`,
+                `Ke ${this._formatColor(emissive)}`,
+                'Ks 0 0 0',
+                `d ${opacity}`,
+                'illum 1'
+            );
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Clone a geometry and compute vertex normals on it
+     * @param {THREE.BufferGeometry} geometry - Geometry without normals
+     * @returns {THREE.BufferGeometry} Geometry with a normal attribute
+     * @private
+     */
+    _withVertexNormals(geometry) {
+        const clone = geometry.clone();
+        clone.computeVertexNormals();
+        return clone;
+    }
+
+    /**
+     * Produce a whitespace-free name not already in use
+     * @param {string} name - Preferred name
+     * @param {Set<string>} usedNames - Names taken so far (updated in place)
+     * @returns {string} Unique name
+     * @private
+     */
+    _uniqueName(name, usedNames) {
+        const base = name.trim().replace(/\s+/g, '_') || 'object';
+        let candidate = base;
+        let suffix = 2;
+
+        while (usedNames.has(candidate)) {
+            candidate = `${base}_${suffix++}`;
+        }
+
+        usedNames.add(candidate);
+        return candidate;
+    }
+
+    /**
+     * Export a 3D object as binary glTF 2.0 (GLB).
+     * The node tree mirrors the THREE hierarchy; a whole rack exports as
+     * one scene when given the group from ModuleDesignService.createRack3DModel.
+     * @param {THREE.Object3D} object - Module or rack group
+     * @param {Object} options - Export options
+     * @param {Object} options.extras - Extra metadata stored on the root node
+     * @param {Object<string, string>} options.textures - Image data URLs keyed by
+     *   mesh name, embedded as base colour textures (e.g. { panel: photo.data });
+     *   only PNG and JPEG images are embedded
+     * @param {number} options.unitScale - Root scale; defaults to mm → m as glTF expects
+     * @returns {ArrayBuffer} GLB data
+     */
+    exportGLB(object, options = {}) {
+        const state = {
+            json: {
+                asset: { version: '2.0', generator: 'EuroRack 3D Modeler' },
+                scene: 0,
+                scenes: [{ name: object.name || 'module', nodes: [] }],
+                nodes: [],
+                meshes: [],
+                materials: [],
+                accessors: [],
+                bufferViews: [],
+                buffers: []
+            },
+            chunks: [],
+            byteLength: 0,
+            meshCache: new Map(),
+            materialCache: new Map(),
+            textures: options.textures || {}
+        };
+
+        const rootIndex = this._addGLTFNode(object, state);
+        const root = state.json.nodes[rootIndex];
+        const unitScale = options.unitScale ?? this._gltf.metresPerMillimetre;
+
+        root.scale = (root.scale || [1, 1, 1]).map(value => value * unitScale);
+        if (options.extras) {
+            root.extras = { ...(root.extras || {}), ...this._toJSONSafe(options.extras) };
+        }
+        state.json.scenes[0].nodes.push(rootIndex);
+
+        // Drop empty top-level arrays, glTF forbids them
+        Object.keys(state.json).forEach(key => {
+            if (Array.isArray(state.json[key]) && state.json[key].length === 0) {
+                delete state.json[key];
+            }
+        });
+
+        if (state.byteLength > 0) {
+            state.json.buffers = [{ byteLength: state.byteLength }];
+        }
+
+        return this._writeGLB(state.json, state.chunks, state.byteLength);
+    }
+
+    /**
+     * Convert an object and its children into glTF nodes
+     * @param {THREE.Object3D} object - Object to convert
+     * @param {Object} state - Export state
+     * @returns {number} Node index
+     * @private
+     */
+    _addGLTFNode(object, state) {
+        const node = {};
+        if (object.name) node.name = object.name;
+
+        if (object.position.lengthSq() > 0) {
+            node.translation = object.position.toArray();
+        }
+        if (!object.quaternion.equals(new THREE.Quaternion())) {
+            node.rotation = object.quaternion.toArray();
+        }
+        if (!object.scale.equals(new THREE.Vector3(1, 1, 1))) {
+            node.scale = object.scale.toArray();
+        }
+
+        const extras = this._toJSONSafe(object.userData);
+        delete extras.excludeFromExport;
+        if (Object.keys(extras).length > 0) {
+            node.extras = extras;
+        }
+
+        if (object.isMesh && object.geometry && object.geometry.attributes.position) {
+            node.mesh = this._addGLTFMesh(object, state);
+        }
+
+        const nodeIndex = state.json.nodes.push(node) - 1;
+
+        const children = object.children
+            .filter(child => child.visible && !(child.userData && child.userData.excludeFromExport))
+            .map(child => this._addGLTFNode(child, state));
+        if (children.length > 0) {
+            node.children = children;
+        }
+
+        return nodeIndex;
+    }
+
+    /**
+     * Convert a mesh's geometry and material into a glTF mesh
+     * @param {THREE.Mesh} mesh - Mesh to convert
+     * @param {Object} state - Export state
+     * @returns {number} Mesh index
+     * @private
+     */
+    _addGLTFMesh(mesh, state) {
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        const texture = state.textures[mesh.name];
+        const cacheKey = `${mesh.geometry.uuid}:${material ? material.uuid : ''}:${texture ? mesh.name : ''}`;
+
+        if (state.meshCache.has(cacheKey)) {
+            return state.meshCache.get(cacheKey);
+        }
+
+        const geometry = mesh.geometry.attributes.normal
+            ? mesh.geometry
+            : this._withVertexNormals(mesh.geometry);
+        const attributes = geometry.attributes;
+        const primitive = {
+            attributes: {
+                POSITION: this._addGLTFAccessor(attributes.position, 'VEC3', state, true),
+                NORMAL: this._addGLTFAccessor(attributes.normal, 'VEC3', state)
+            },
+            mode: 4  // TRIANGLES
+        };
+
+        if (attributes.uv && texture) {
+            primitive.attributes.TEXCOORD_0 = this._addGLTFAccessor(attributes.uv, 'VEC2', state);
+        }
+
+        if (geometry.index) {
+            primitive.indices = this._addGLTFIndices(geometry.index, attributes.position.count, state);
+        }
+
+        if (material) {
+            primitive.material = this._addGLTFMaterial(material, texture, state);
+        }
+
+        const meshIndex = state.json.meshes.push({
+            name: mesh.name || undefined,
+            primitives: [primitive]
+        }) - 1;
+
+        state.meshCache.set(cacheKey, meshIndex);
+        return meshIndex;
+    }
+
+    /**
+     * Add a float vertex attribute as a glTF accessor
+     * @param {THREE.BufferAttribute} attribute - Vertex attribute
+     * @param {string} type - Accessor type (VEC2, VEC3)
+     * @param {Object} state - Export state
+     * @param {boolean} withBounds - Whether to store min/max (required for POSITION)
+     * @returns {number} Accessor index
+     * @private
+     */
+    _addGLTFAccessor(attribute, type, state, withBounds = false) {
+        const itemSize = type === 'VEC2' ? 2 : 3;
+        const array = new Float32Array(attribute.count * itemSize);
+        const getters = ['getX', 'getY', 'getZ'];
+
+        for (let i = 0; i < attribute.count; i++) {
+            for (let c = 0; c < itemSize; c++) {
+                array[i * itemSize + c] = attribute[getters[c]](i);
+            }
+        }
+
+        const accessor = {
+            bufferView: this._addGLTFBufferView(array, this._gltf.targets.arrayBuffer, state),
+            componentType: this._gltf.componentTypes.Float32Array,
+            count: attribute.count,
+            type: type
+        };
+
+        if (withBounds) {
+            accessor.min = new Array(itemSize).fill(Infinity);
+            accessor.max = new Array(itemSize).fill(-Infinity);
+            array.forEach((value, i) => {
+                const c = i % itemSize;
+                accessor.min[c] = Math.min(accessor.min[c], value);
+                accessor.max[c] = Math.max(accessor.max[c], value);
+            });
+        }
+
+        return state.json.accessors.push(accessor) - 1;
+    }
+
+    /**
+     * Add triangle indices as a glTF accessor
+     * @param {THREE.BufferAttribute} index - Index attribute
+     * @param {number} vertexCount - Number of vertices referenced
+     * @param {Object} state - Export state
+     * @returns {number} Accessor index
+     * @private
+     */
+    _addGLTFIndices(index, vertexCount, state) {
+        const ArrayType = vertexCount > 0xffff ? Uint32Array : Uint16Array;
+        const array = new ArrayType(index.count);
+        for (let i = 0; i < index.count; i++) {
+            array[i] = index.getX(i);
+        }
+
+        return state.json.accessors.push({
+            bufferView: this._addGLTFBufferView(array, this._gltf.targets.elementArrayBuffer, state),
+            componentType: this._gltf.componentTypes[ArrayType.name],
+            count: index.count,
+            type: 'SCALAR'
+        }) - 1;
+    }
+
+    /**
+     * Append typed array data to the binary chunk as a buffer view
+     * @param {TypedArray} array - Data to append
+     * @param {number} target - Buffer view target, if any
+     * @param {Object} state - Export state
+     * @returns {number} Buffer view index
+     * @private
+     */
+    _addGLTFBufferView(array, target, state) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const bufferView = {
+            buffer: 0,
+            byteOffset: state.byteLength,
+            byteLength: bytes.byteLength
+        };
+        if (target) bufferView.target = target;
+
+        const padding = (4 - (bytes.byteLength % 4)) % 4;
+        state.chunks.push(bytes);
+        if (padding) state.chunks.push(new Uint8Array(padding));
+        state.byteLength += bytes.byteLength + padding;
+
+        return state.json.bufferViews.push(bufferView) - 1;
+    }
+
+    /**
+     * Convert a THREE material into a glTF PBR material
+     * @param {THREE.Material} material - Source material
+     * @param {string} textureDataUrl - Optional base colour image
+     * @param {Object} state - Export state
+     * @returns {number} Material index
+     * @private
+     */
+    _addGLTFMaterial(material, textureDataUrl, state) {
+        const cacheKey = `${material.uuid}:${textureDataUrl ? textureDataUrl.length : ''}`;
+        if (state.materialCache.has(cacheKey)) {
+            return state.materialCache.get(cacheKey);
+        }
+
+        const color = material.color || new THREE.Color(0xffffff);
+        const opacity = material.transparent ? material.opacity : 1;
+        const gltfMaterial = {
+            pbrMetallicRoughness: {
+                baseColorFactor: [color.r, color.g, color.b, opacity],
+                // Lambert/Phong have no PBR terms: treat them as rough dielectrics
+                metallicFactor: material.metalness ?? 0,
+                roughnessFactor: material.roughness ?? 1
+            }
+        };
+
+        if (material.name) gltfMaterial.name = material.name;
+        if (material.emissive && material.emissive.getHex() !== 0) {
+            gltfMaterial.emissiveFactor = material.emissive.toArray();
+        }
+        if (material.transparent && opacity < 1) {
+            gltfMaterial.alphaMode = 'BLEND';
+        }
+        if (material.side === THREE.DoubleSide) {
+            gltfMaterial.doubleSided = true;
+        }
+        const textureIndex = textureDataUrl ? this._addGLTFTexture(textureDataUrl, state) : null;
+        if (textureIndex !== null) {
+            gltfMaterial.pbrMetallicRoughness.baseColorTexture = { index: textureIndex };
+        }
+
+        const materialIndex = state.json.materials.push(gltfMaterial) - 1;
+        state.materialCache.set(cacheKey, materialIndex);
+        return materialIndex;
+    }
+
+    /**
+     * Embed an image data URL as a glTF texture. glTF only allows PNG and
+     * JPEG, so other uploads (webp, gif) are left out with a warning.
+     * @param {string} dataUrl - Base64 image data URL (png or jpeg)
+     * @param {Object} state - Export state
+     * @returns {number|null} Texture index, or null if the image was skipped
+     * @private
+     */
+    _addGLTFTexture(dataUrl, state) {
+        const match = /^data:(image\/(?:png|jpeg));base64,(.*)$/.exec(dataUrl);
+        if (!match) {
+            const type = (/^data:([^;,]+)/.exec(dataUrl) || [])[1] || 'unknown';
+            console.warn(`GLB export: skipped a ${type} texture, glTF only embeds PNG or JPEG`);
+            return null;
+        }
+
+        const binary = atob(match[2]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        state.json.images = state.json.images || [];
+        state.json.textures = state.json.textures || [];
+        state.json.samplers = state.json.samplers || [{ magFilter: 9729, minFilter: 9987 }];
+
+        const imageIndex = state.json.images.push({
+            bufferView: this._addGLTFBufferView(bytes, null, state),
+            mimeType: match[1]
+        }) - 1;
+
+        return state.json.textures.push({ sampler: 0, source: imageIndex }) - 1;
+    }
+
+    /**
+     * Assemble the GLB container
+     * @param {Object} json - glTF JSON document
+     * @param {Uint8Array[]} chunks - Binary chunk pieces
+     * @param {number} binLength - Total binary length (4-byte aligned)
+     * @returns {ArrayBuffer} GLB data
+     * @private
+     */
+    _writeGLB(json, chunks, binLength) {
+        let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        const jsonPadding = (4 - (jsonBytes.byteLength % 4)) % 4;
+        if (jsonPadding) {
+            const padded = new Uint8Array(jsonBytes.byteLength + jsonPadding).fill(0x20);
+            padded.set(jsonBytes);
+            jsonBytes = padded;
+        }
+
+        const hasBin = binLength > 0;
+        const totalLength = 12 + 8 + jsonBytes.byteLength + (hasBin ? 8 + binLength : 0);
+        const buffer = new ArrayBuffer(totalLength);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        view.setUint32(0, this._gltf.magic, true);
+        view.setUint32(4, this._gltf.version, true);
+        view.setUint32(8, totalLength, true);
+
+        view.setUint32(12, jsonBytes.byteLength, true);
+        view.setUint32(16, this._gltf.chunkJson, true);
+        bytes.set(jsonBytes, 20);
+
+        if (hasBin) {
+            let offset = 20 + jsonBytes.byteLength;
+            view.setUint32(offset, binLength, true);
+            view.setUint32(offset + 4, this._gltf.chunkBin, true);
+            offset += 8;
+            chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Deep-copy a value, keeping only JSON-serialisable content
+     * @param {Object} value - Value to copy
+     * @returns {Object} Plain object
+     * @private
+     */
+    _toJSONSafe(value) {
+        try {
+            return JSON.parse(JSON.stringify(value || {}));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Export a 3D object as a 3MF package in millimetres.
+     * Each mesh (panel, knobs, jacks…) becomes a separate object with its
+     * own base material colour so slicers can assign filaments per part.
+     * @param {THREE.Object3D} object - Object hierarchy to export
+     * @param {Object} options - Export options
+     * @param {Object} options.module - Module metadata (name, widthHP, heightMm, …);
+     *   defaults to the group's userData.module
+     * @returns {ArrayBuffer} 3MF (ZIP) data
+     */
+    export3MF(object, options = {}) {
+        const moduleInfo = options.module || object.userData.module || {};
+        const title = options.name || moduleInfo.name || object.name || 'module';
+        const materials = [];
+        const materialIndices = new Map();
+        const objects = [];
+        const usedNames = new Set();
+
+        object.updateMatrixWorld(true);
+
+        this._forEachExportableMesh(object, (mesh) => {
+            const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+            const color = material && material.color ? material.color : new THREE.Color(0xcccccc);
+            const name = this._uniqueName(mesh.name || 'part', usedNames);
+            const colorKey = color.getHexString();
+
+            if (!materialIndices.has(colorKey)) {
+                materialIndices.set(colorKey, materials.push({ name, color: `#${colorKey.toUpperCase()}FF` }) - 1);
+            }
+
+            const { vertices, triangles } = this._collectIndexedMesh(mesh);
+            if (triangles.length === 0) return;
+
+            objects.push({
+                id: objects.length + 2,  // id 1 is the base material group
+                name,
+                materialIndex: materialIndices.get(colorKey),
+                vertices,
+                triangles
+            });
+        });
+
+        const metadata = [
+            ['Title', title],
+            ['Application', 'EuroRack 3D Modeler'],
+            ['CreationDate', new Date().toISOString().slice(0, 10)]
+        ];
+        const moduleMetadata = [
+            ['eurorack:Name', moduleInfo.name],
+            ['eurorack:WidthHP', moduleInfo.widthHP],
+            ['eurorack:WidthMm', moduleInfo.widthMm],
+            ['eurorack:HeightMm', moduleInfo.heightMm],
+            ['eurorack:DepthMm', moduleInfo.depthMm]
+        ].filter(([, value]) => value !== undefined && value !== null);
+
+        const modelXml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<model unit="millimeter" xml:lang="en-US" xmlns="${this._threeMF.coreNamespace}" xmlns:eurorack="${this._threeMF.moduleNamespace}">`,
+            ...[...metadata, ...moduleMetadata].map(([name, value]) =>
+                `  <metadata name="${name}">${this._escapeXml(String(value))}</metadata>`
+            ),
+            '  <resources>',
+            '    <basematerials id="1">',
+            ...materials.map(material =>
+                `      <base name="${this._escapeXml(material.name)}" displaycolor="${material.color}" />`
+            ),
+            '    </basematerials>',
+            ...objects.map(part => [
+                `    <object id="${part.id}" type="model" name="${this._escapeXml(part.name)}" pid="1" pindex="${part.materialIndex}">`,
+                '      <mesh>',
+                '        <vertices>',
+                ...part.vertices.map(v =>
+                    `          <vertex x="${this._formatNumber(v.x)}" y="${this._formatNumber(v.y)}" z="${this._formatNumber(v.z)}" />`
+                ),
+                '        </vertices>',
+                '        <triangles>',
+                ...part.triangles.map(([v1, v2, v3]) =>
+                    `          <triangle v1="${v1}" v2="${v2}" v3="${v3}" />`
+                ),
+                '        </triangles>',
+                '      </mesh>',
+                '    </object>'
+            ].join('\n')),
+            '  </resources>',
+            '  <build>',
+            ...objects.map(part => `    <item objectid="${part.id}" />`),
+            '  </build>',
+            '</model>'
+        ].join('\n');
+
+        const contentTypes = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+            '  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />',
+            '  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />',
+            '</Types>'
+        ].join('\n');
+
+        const relationships = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+            `  <Relationship Target="/${this._threeMF.modelPath}" Id="rel0" Type="${this._threeMF.modelRelationship}" />`,
+            '</Relationships>'
+        ].join('\n');
+
+        return this._writeZip([
+            { path: '[Content_Types].xml', data: contentTypes },
+            { path: '_rels/.rels', data: relationships },
+            { path: this._threeMF.modelPath, data: modelXml }
+        ]);
+    }
+
+    /**
+     * Build a welded, world-space indexed mesh.
+     * Coincident vertices are merged so each part is a closed shell.
+     * @param {THREE.Mesh} mesh - Mesh to convert
+     * @returns {Object} Vertices and triangle index triples
+     * @private
+     */
+    _collectIndexedMesh(mesh) {
+        const position = mesh.geometry.attributes.position;
+        const index = mesh.geometry.index;
+        const vertices = [];
+        const vertexLookup = new Map();
+        const remap = new Array(position.count);
+        const triangles = [];
+
+        for (let i = 0; i < position.count; i++) {
+            const vertex = new THREE.Vector3()
+                .fromBufferAttribute(position, i)
+                .applyMatrix4(mesh.matrixWorld);
+            const key = [vertex.x, vertex.y, vertex.z]
+                .map(value => Math.round(value * 1e4))
+                .join(',');
+
+            if (!vertexLookup.has(key)) {
+                vertexLookup.set(key, vertices.push(vertex) - 1);
+            }
+            remap[i] = vertexLookup.get(key);
+        }
+
+        const count = index ? index.count : position.count;
+        for (let i = 0; i + 2 < count; i += 3) {
+            const triangle = [0, 1, 2].map(offset =>
+                remap[index ? index.getX(i + offset) : i + offset]
+            );
+
+            // Welding can collapse slivers into degenerate triangles
+            if (new Set(triangle).size === 3) {
+                triangles.push(triangle);
+            }
+        }
+
+        return { vertices, triangles };
+    }
+
+    /**
+     * Write files into an uncompressed (stored) ZIP archive
+     * @param {Array<Object>} files - Files as { path, data } with string or Uint8Array data
+     * @returns {ArrayBuffer} ZIP data
+     * @private
+     */
+    _writeZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const entries = files.map(file => {
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            return {
+                name: encoder.encode(file.path),
+                data: data,
+                crc: this._crc32(data)
+            };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const buffer = new ArrayBuffer(localSize + centralSize + 22);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034b50, true);  // Local file header signature
+            view.setUint16(offset + 4, 20, true);  // Version needed
+            view.setUint16(offset + 6, 0x0800, true);  // UTF-8 names
+            view.setUint16(offset + 8, 0, true);  // Stored
+            view.setUint16(offset + 10, dosTime, true);
+            view.setUint16(offset + 12, dosDate, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralOffset = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014b50, true);  // Central directory signature
+            view.setUint16(offset + 4, 20, true);  // Version made by
+            view.setUint16(offset + 6, 20, true);  // Version needed
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, dosTime, true);
+            view.setUint16(offset + 14, dosDate, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint16(offset + 30, 0, true);  // Extra field length
+            view.setUint16(offset + 32, 0, true);  // Comment length
+            view.setUint16(offset + 34, 0, true);  // Disk number
+            view.setUint16(offset + 36, 0, true);  // Internal attributes
+            view.setUint32(offset + 38, 0, true);  // External attributes
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054b50, true);  // End of central directory
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, 0, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        view.setUint16(offset + 20, 0, true);
+
+        return buffer;
+    }
+
+    /**
+     * Compute the CRC-32 checksum used by ZIP
+     * @param {Uint8Array} data - Data to checksum
+     * @returns {number} Unsigned CRC-32
+     * @private
+     */
+    _crc32(data) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this._crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Escape text for XML attributes and content
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     * @private
+     */
+    _escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Collect world-space triangles from every exportable mesh
+     * @param {THREE.Object3D} object - Object hierarchy
+     * @returns {Array<Object>} Triangles with vertices and normal
+     * @private
+     */
+    _collectTriangles(object) {
+        const triangles = [];
+
+        object.updateMatrixWorld(true);
+
+        this._forEachExportableMesh(object, (mesh) => {
+            const geometry = mesh.geometry;
+            const position = geometry.attributes.position;
+            const index = geometry.index;
+            const count = index ? index.count : position.count;
+
+            for (let i = 0; i + 2 < count; i += 3) {
+                const vertices = [0, 1, 2].map(offset => {
+                    const vertexIndex = index ? index.getX(i + offset) : i + offset;
+                    return new THREE.Vector3()
+                        .fromBufferAttribute(position, vertexIndex)
+                        .applyMatrix4(mesh.matrixWorld);
+                });
+
+                const normal = new THREE.Vector3()
+                    .subVectors(vertices[2], vertices[1])
+                    .cross(new THREE.Vector3().subVectors(vertices[0], vertices[1]))
+                    .normalize();
+
+                // Skip degenerate triangles
+                if (normal.lengthSq() === 0) continue;
+
+                triangles.push({ vertices, normal });
+            }
+        });
+
+        return triangles;
+    }
+
+    /**
+     * Walk all visible meshes not flagged as excluded from export
+     * @param {THREE.Object3D} object - Object hierarchy
+     * @param {Function} callback - Invoked with each mesh
+     * @private
+     */
+    _forEachExportableMesh(object, callback) {
+        object.traverse(child => {
+            if (!child.isMesh || !child.geometry || !child.visible) return;
+            if (child.userData && child.userData.excludeFromExport) return;
+            if (!child.geometry.attributes || !child.geometry.attributes.position) return;
+
+            callback(child);
+        });
+    }
+
+    /**
+     * Write triangles as binary STL
+     * @param {Array<Object>} triangles - World-space triangles
+     * @param {string} name - Header text
+     * @returns {ArrayBuffer} Binary STL
+     * @private
+     */
+    _writeBinarySTL(triangles, name) {
+        const buffer = new ArrayBuffer(
+            this._stlHeaderSize + 4 + triangles.length * this._stlTriangleSize
+        );
+        const view = new DataView(buffer);
+
+        // Header must not start with "solid" or readers treat it as ASCII
+        const header = `Eurorack module: ${name}`.slice(0, this._stlHeaderSize);
+        for (let i = 0; i < header.length; i++) {
+            view.setUint8(i, header.charCodeAt(i) & 0x7f);
+        }
+
+        view.setUint32(this._stlHeaderSize, triangles.length, true);
+
+        let offset = this._stlHeaderSize + 4;
+        triangles.forEach(({ vertices, normal }) => {
+            [normal, ...vertices].forEach(vector => {
+                view.setFloat32(offset, vector.x, true);
+                view.setFloat32(offset + 4, vector.y, true);
+                view.setFloat32(offset + 8, vector.z, true);
+                offset += 12;
+            });
+
+            // Attribute byte count
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        });
+
+        return buffer;
+    }
+
+    /**
+     * Write triangles as ASCII STL
+     * @param {Array<Object>} triangles - World-space triangles
+     * @param {string} name - Solid name
+     * @returns {string} ASCII STL
+     * @private
+     */
+    _writeAsciiSTL(triangles, name) {
+        const solidName = name.replace(/\s+/g, '_');
+        const lines = [`solid ${solidName}`];
+
+        triangles.forEach(({ vertices, normal }) => {
+            lines.push(`  facet normal ${this._formatVector(normal)}`);
+            lines.push('    outer loop');
+            vertices.forEach(vertex => {
+                lines.push(`      vertex ${this._formatVector(vertex)}`);
+            });
+            lines.push('    endloop');
+            lines.push('  endfacet');
+        });
+
+        lines.push(`endsolid ${solidName}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a vector for text output
+     * @param {THREE.Vector3} vector - Vector to format
+     * @returns {string} Space-separated components
+     * @private
+     */
+    _formatVector(vector) {
+        return [vector.x, vector.y, vector.z]
+            .map(value => this._formatNumber(value))
+            .join(' ');
+    }
+
+    /**
+     * Format a number compactly for text output
+     * @param {number} value - Number to format
+     * @returns {string} Number with at most six decimals
+     * @private
+     */
+    _formatNumber(value) {
+        return String(parseFloat(value.toFixed(6)));
+    }
+
+    /**
+     * Format a colour as space-separated linear RGB
+     * @param {THREE.Color} color - Colour to format
+     * @returns {string} RGB components
+     * @private
+     */
+    _formatColor(color) {
+        return [color.r, color.g, color.b]
+            .map(value => this._formatNumber(value))
+            .join(' ');
+    }
+
+    /**
+     * Build a safe filename from a module name
+     * @param {string} name - Module name
+     * @returns {string} Filename without extension
+     * @private
+     */
+    _sanitizeFilename(name) {
+        const cleaned = (name || '').trim().replace(/[^\w-]+/g, '_');
+        return cleaned || 'module';
+    }
+}
+
+// Singleton export
+export default new ExportService();
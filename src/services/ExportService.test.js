@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import { crc32 } from 'zlib';
+import ExportService from './ExportService.js';
+
+// Two meshes in a group, the second moved so world transforms show up
+const createModel = () => {
+    const group = new THREE.Group();
+    group.name = 'test module';
+
+    const panel = new THREE.Mesh(new THREE.BoxGeometry(10, 20, 2), new THREE.MeshLambertMaterial({ color: 0x333333 }));
+    panel.name = 'panel';
+    group.add(panel);
+
+    const knob = new THREE.Mesh(new THREE.BoxGeometry(4, 4, 4), new THREE.MeshLambertMaterial({ color: 0xff0000 }));
+    knob.name = 'knob';
+    knob.position.set(0, 5, 3);
+    group.add(knob);
+
+    return group;
+};
+
+describe('exportSTL', () => {
+    test('writes a binary STL with one record per triangle', () => {
+        const data = ExportService.exportSTL(createModel());
+        const view = new DataView(data);
+
+        expect(view.getUint32(80, true)).toBe(24);
+        expect(data.byteLength).toBe(84 + 24 * 50);
+    });
+
+    test('applies world transforms to the vertices', () => {
+        const view = new DataView(ExportService.exportSTL(createModel()));
+        let maxZ = -Infinity;
+        for (let i = 0; i < 24; i++) {
+            for (let v = 0; v < 3; v++) {
+                maxZ = Math.max(maxZ, view.getFloat32(84 + i * 50 + 12 + v * 12 + 8, true));
+            }
+        }
+
+        expect(maxZ).toBeCloseTo(5);
+    });
+
+    test('writes ASCII STL on request', () => {
+        const text = ExportService.exportSTL(createModel(), { binary: false, name: 'vco' });
+
+        expect(text.startsWith('solid vco')).toBe(true);
+        expect(text.match(/facet normal/g)).toHaveLength(24);
+        expect(text.trim().endsWith('endsolid vco')).toBe(true);
+    });
+});
+
+describe('exportOBJ', () => {
+    test('writes one named object per mesh with matching materials', () => {
+        const { obj, mtl } = ExportService.exportOBJ(createModel(), { mtlFilename: 'module.mtl' });
+
+        expect(obj).toContain('mtllib module.mtl');
+        expect(obj.match(/^o .+$/gm)).toEqual(['o panel', 'o knob']);
+        obj.match(/^usemtl (.+)$/gm).forEach(line => {
+            expect(mtl).toContain(`newmtl ${line.slice('usemtl '.length)}`);
+        });
+        expect(mtl).toMatch(/^Kd 1 0 0$/m);
+    });
+
+    test('numbers face vertices across objects', () => {
+        const { obj } = ExportService.exportOBJ(createModel());
+        const vertexCount = obj.match(/^v /gm).length;
+        const indices = obj.match(/^f .+$/gm)
+            .flatMap(line => line.slice(2).split(' '))
+            .map(corner => parseInt(corner.split('/')[0], 10));
+
+        expect(Math.min(...indices)).toBe(1);
+        expect(Math.max(...indices)).toBe(vertexCount);
+    });
+});
+
+describe('exportGLB', () => {
+    test('writes a glTF 2.0 container with a JSON and a binary chunk', () => {
+        const data = ExportService.exportGLB(createModel());
+        const view = new DataView(data);
+
+        expect(view.getUint32(0, true)).toBe(0x46546c67);  // 'glTF'
+        expect(view.getUint32(4, true)).toBe(2);
+        expect(view.getUint32(8, true)).toBe(data.byteLength);
+
+        const jsonLength = view.getUint32(12, true);
+        expect(view.getUint32(16, true)).toBe(0x4e4f534a);  // 'JSON'
+        const json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, 20, jsonLength)));
+
+        expect(json.asset.version).toBe('2.0');
+        expect(json.meshes).toHaveLength(2);
+        expect(view.getUint32(20 + jsonLength + 4, true)).toBe(0x004e4942);  // 'BIN\0'
+        expect(view.getUint32(20 + jsonLength, true)).toBeGreaterThanOrEqual(json.buffers[0].byteLength);
+    });
+
+    test('scales the root from millimetres to metres', () => {
+        const data = ExportService.exportGLB(createModel());
+        const view = new DataView(data);
+        const json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, 20, view.getUint32(12, true))));
+        const root = json.nodes[json.scenes[0].nodes[0]];
+
+        expect(root.scale).toEqual([0.001, 0.001, 0.001]);
+    });
+});
+
+describe('export3MF', () => {
+    // Read a stored ZIP through its central directory
+    const readZip = (data) => {
+        const view = new DataView(data);
+        const decoder = new TextDecoder();
+        const end = data.byteLength - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+        const files = {};
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+            expect(view.getUint32(offset, true)).toBe(0x02014b50);
+            const nameLength = view.getUint16(offset + 28, true);
+            const name = decoder.decode(new Uint8Array(data, offset + 46, nameLength));
+            const local = view.getUint32(offset + 42, true);
+            const size = view.getUint32(offset + 20, true);
+            const bytes = new Uint8Array(data, local + 30 + view.getUint16(local + 26, true), size);
+
+            expect(view.getUint32(local, true)).toBe(0x04034b50);
+            expect(view.getUint16(local + 8, true)).toBe(0);  // Stored
+            expect(crc32(bytes)).toBe(view.getUint32(offset + 16, true));
+
+            files[name] = decoder.decode(bytes);
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+        return files;
+    };
+
+    test('packs the model, relationships and content types', () => {
+        const files = readZip(ExportService.export3MF(createModel()));
+
+        expect(Object.keys(files).sort()).toEqual(['3D/3dmodel.model', '[Content_Types].xml', '_rels/.rels']);
+        expect(files['_rels/.rels']).toContain('Target="/3D/3dmodel.model"');
+        expect(files['[Content_Types].xml']).toContain('Extension="model"');
+    });
+
+    test('round-trips the meshes as welded objects with their own colours', () => {
+        const model = createModel();
+        model.userData.module = { name: 'VCO & LFO', widthHP: 8 };
+        const xml = readZip(ExportService.export3MF(model))['3D/3dmodel.model'];
+
+        expect(xml).toContain('unit="millimeter"');
+        expect(xml).toContain('<metadata name="Title">VCO &amp; LFO</metadata>');
+        expect(xml).toContain('<metadata name="eurorack:WidthHP">8</metadata>');
+        expect(xml.match(/<base [^>]*displaycolor="([^"]+)"/g)).toHaveLength(2);
+        expect(xml).toContain('displaycolor="#FF0000FF"');
+
+        // Boxes weld down to 8 corners and keep their 12 triangles
+        const objects = xml.split('<object ').slice(1);
+        expect(objects).toHaveLength(2);
+        objects.forEach(part => {
+            expect(part.match(/<vertex /g)).toHaveLength(8);
+            expect(part.match(/<triangle /g)).toHaveLength(12);
+        });
+        expect(xml.match(/<item objectid=/g)).toHaveLength(2);
+    });
+});
+
+describe('exportModel', () => {
+    test('names the files safely and links the OBJ to its material library', () => {
+        const result = ExportService.exportModel(createModel(), 'obj', { name: 'Untitled Module' });
+
+        expect(result.filename).toBe('Untitled_Module.obj');
+        expect(result.extraFiles.map(file => file.filename)).toEqual(['Untitled_Module.mtl']);
+        expect(result.data).toContain('mtllib Untitled_Module.mtl\n');
+    });
+});
+
+describe('exportGLB textures', () => {
+    const readJSON = (data) => {
+        const view = new DataView(data);
+        return JSON.parse(new TextDecoder().decode(new Uint8Array(data, 20, view.getUint32(12, true))));
+    };
+    // 1×1 transparent PNG
+    const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+    test('embeds PNG textures on the named mesh', () => {
+        const json = readJSON(ExportService.exportGLB(createModel(), { textures: { panel: png } }));
+
+        expect(json.images).toEqual([expect.objectContaining({ mimeType: 'image/png' })]);
+        expect(json.materials.filter(material => material.pbrMetallicRoughness.baseColorTexture)).toHaveLength(1);
+    });
+
+    test('skips textures glTF cannot hold instead of failing', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const json = readJSON(ExportService.exportGLB(createModel(), { textures: { panel: 'data:image/webp;base64,UklGRg==' } }));
+
+        expect(json.images).toBeUndefined();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('image/webp'));
+        warn.mockRestore();
+    });
+});
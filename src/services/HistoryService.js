@@ -0,0 +1,169 @@
+import ErrorService from './ErrorService.js';
+import ConfigService from './ConfigService.js';
+
+class HistoryService {
+    constructor() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._changeHandlers = [];
+
+        // Commands with the same merge key inside this window collapse into one step
+        this._mergeWindow = 1000;  // ms
+    }
+
+    /**
+     * Run a command and record it for undo.
+     * A command has a label plus execute() and undo() functions; an optional
+     * mergeKey folds rapid repeats (e.g. typing in one input) into one step.
+     * @param {Object} command - Command to run
+     * @returns {boolean} True if the command ran
+     */
+    execute(command) {
+        try {
+            command.execute();
+            this.record(command);
+            return true;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'History Command',
+                label: command.label
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Record a command whose effect has already been applied,
+     * e.g. a drag that updated the layout while the mouse moved
+     * @param {Object} command - Command to record
+     */
+    record(command) {
+        const entry = { ...command, timestamp: Date.now() };
+        const previous = this._undoStack[this._undoStack.length - 1];
+
+        if (previous && command.mergeKey && previous.mergeKey === command.mergeKey &&
+            entry.timestamp - previous.timestamp < this._mergeWindow) {
+            // Keep the oldest undo, take the newest redo
+            this._undoStack[this._undoStack.length - 1] = { ...entry, undo: previous.undo };
+        } else {
+            this._undoStack.push(entry);
+            const maxSteps = ConfigService.get('history.maxSteps', 100);
+            if (this._undoStack.length > maxSteps) {
+                this._undoStack.splice(0, this._undoStack.length - maxSteps);
+            }
+        }
+
+        this._redoStack = [];
+        this._notify();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {boolean} True if something was undone
+     */
+    undo() {
+        const command = this._undoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.undo();
+            this._redoStack.push(command);
+            return true;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'History Undo',
+                label: command.label
+            });
+            return false;
+        } finally {
+            this._notify();
+        }
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {boolean} True if something was redone
+     */
+    redo() {
+        const command = this._redoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.execute();
+            this._undoStack.push({ ...command, mergeKey: null });
+            return true;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'History Redo',
+                label: command.label
+            });
+            return false;
+        } finally {
+            this._notify();
+        }
+    }
+
+    /**
+     * Whether there is a step to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is a step to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Labels of the next undo and redo steps, for menus and tooltips
+     * @returns {Object} undoLabel and redoLabel, or null when empty
+     */
+    getState() {
+        const nextUndo = this._undoStack[this._undoStack.length - 1];
+        const nextRedo = this._redoStack[this._redoStack.length - 1];
+        return {
+            undoLabel: nextUndo ? nextUndo.label : null,
+            redoLabel: nextRedo ? nextRedo.label : null
+        };
+    }
+
+    /**
+     * Forget all history, e.g. after loading a project
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._notify();
+    }
+
+    /**
+     * Register a handler called whenever the history changes
+     * @param {Function} handler - Receives the result of getState()
+     */
+    registerChangeHandler(handler) {
+        this._changeHandlers.push(handler);
+    }
+
+    /**
+     * Notify change handlers
+     * @private
+     */
+    _notify() {
+        const state = this.getState();
+        this._changeHandlers.forEach(handler => {
+            try {
+                handler(state);
+            } catch (handlerError) {
+                console.error('Error in history change handler:', handlerError);
+            }
+        });
+    }
+}
+
+// Singleton export
+export default new HistoryService();
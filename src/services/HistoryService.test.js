@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import HistoryService from './HistoryService.js';
+import ConfigService from './ConfigService.js';
+
+// Commands that set a shared value, remembering the one they replaced
+const state = { value: 0 };
+const setValue = (value, mergeKey) => {
+    const previous = state.value;
+    return {
+        label: `Set ${value}`,
+        mergeKey,
+        execute: () => { state.value = value; },
+        undo: () => { state.value = previous; }
+    };
+};
+
+let now;
+beforeEach(() => {
+    state.value = 0;
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    HistoryService.clear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('undo and redo', () => {
+    test('step back and forward through commands', () => {
+        HistoryService.execute(setValue(1));
+        HistoryService.execute(setValue(2));
+
+        expect(HistoryService.getState()).toEqual({ undoLabel: 'Set 2', redoLabel: null });
+        expect(HistoryService.undo()).toBe(true);
+        expect(state.value).toBe(1);
+        expect(HistoryService.undo()).toBe(true);
+        expect(state.value).toBe(0);
+        expect(HistoryService.undo()).toBe(false);
+
+        expect(HistoryService.redo()).toBe(true);
+        expect(state.value).toBe(1);
+        expect(HistoryService.getState()).toEqual({ undoLabel: 'Set 1', redoLabel: 'Set 2' });
+    });
+
+    test('recording a new command clears the redo stack', () => {
+        HistoryService.execute(setValue(1));
+        HistoryService.undo();
+        expect(HistoryService.canRedo()).toBe(true);
+
+        HistoryService.execute(setValue(5));
+
+        expect(HistoryService.canRedo()).toBe(false);
+        expect(HistoryService.redo()).toBe(false);
+        expect(state.value).toBe(5);
+    });
+
+    test('notifies change handlers with the new state', () => {
+        const handler = jest.fn();
+        HistoryService.registerChangeHandler(handler);
+        HistoryService.execute(setValue(1));
+
+        expect(handler).toHaveBeenLastCalledWith({ undoLabel: 'Set 1', redoLabel: null });
+    });
+});
+
+describe('merging', () => {
+    test('folds repeats with the same key inside the merge window into one step', () => {
+        HistoryService.execute(setValue(1, 'width'));
+        now = 600;
+        HistoryService.execute(setValue(2, 'width'));
+        now = 1200;
+        HistoryService.execute(setValue(3, 'width'));
+
+        HistoryService.undo();
+        expect(state.value).toBe(0);
+        expect(HistoryService.canUndo()).toBe(false);
+
+        HistoryService.redo();
+        expect(state.value).toBe(3);
+    });
+
+    test('starts a new step after the window or for another key', () => {
+        HistoryService.execute(setValue(1, 'width'));
+        now = 1000;
+        HistoryService.execute(setValue(2, 'width'));
+        HistoryService.execute(setValue(3, 'height'));
+
+        HistoryService.undo();
+        expect(state.value).toBe(2);
+        HistoryService.undo();
+        expect(state.value).toBe(1);
+    });
+});
+
+describe('history.maxSteps', () => {
+    test('drops the oldest steps beyond the cap', () => {
+        const maxSteps = ConfigService.get('history.maxSteps');
+        ConfigService.set('history.maxSteps', 3);
+
+        [1, 2, 3, 4, 5].forEach(value => HistoryService.execute(setValue(value)));
+        let steps = 0;
+        while (HistoryService.undo()) steps++;
+
+        ConfigService.set('history.maxSteps', maxSteps);
+        expect(steps).toBe(3);
+        expect(state.value).toBe(2);
+    });
+});
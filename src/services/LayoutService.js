@@ -0,0 +1,346 @@
+import ConfigService from './ConfigService.js';
+
+class LayoutService {
+    constructor() {
+        // Horizontal anchors: the panel edge or centre line a control's x is measured from
+        this._anchors = ['left', 'centre', 'right'];
+        this._defaultAnchor = 'left';
+
+        // Unit marker for millimetre controls; controls without it are legacy percentages
+        this._unit = 'mm';
+
+        // Grid presets offered by the panel editor (mm)
+        this._gridPresets = [
+            { id: 'mm', label: '1 mm', size: 1 },
+            { id: 'mil100', label: '2.54 mm (0.1")', size: 2.54 },
+            { id: 'hp10', label: '0.1 HP', size: ConfigService.get('hpUnit', 5.08) / 10 }
+        ];
+
+        // Last control id handed out by createControlId
+        this._lastControlId = 0;
+    }
+
+    /**
+     * Unique id for a new control. Ids count up from the clock at first use,
+     * so controls created in the same millisecond never share one.
+     * @returns {number} Control id
+     */
+    createControlId() {
+        this._lastControlId = Math.max(this._lastControlId + 1, Date.now());
+        return this._lastControlId;
+    }
+
+    /**
+     * List the grid presets for the panel editor
+     * @returns {Array<Object>} Presets with id, label and size in mm
+     */
+    getGridPresets() {
+        return this._gridPresets.map(preset => ({ ...preset }));
+    }
+
+    /**
+     * Snap an absolute panel position while a control is placed or dragged.
+     * Alignment with another control's centre wins over the grid on each axis.
+     * @param {number} x - Absolute x in mm from the panel's left edge
+     * @param {number} y - Absolute y in mm from the panel's top edge
+     * @param {Array<Object>} others - Absolute positions of the other controls ({ x, y, label })
+     * @param {Object} options - Snap options, defaulting to the layout config
+     * @param {number} options.gridSize - Grid pitch in mm, 0 to disable
+     * @param {boolean} options.snapToControls - Align with other controls
+     * @param {number} options.alignTolerance - Alignment capture distance in mm
+     * @returns {Object} Snapped x and y, alignment guides and the nearest neighbour
+     */
+    snapPosition(x, y, others = [], options = {}) {
+        const gridSize = options.gridSize ?? ConfigService.get('layout.gridSize', 1);
+        const snapToControls = options.snapToControls ?? ConfigService.get('layout.snapToControls', true);
+        const tolerance = options.alignTolerance ?? ConfigService.get('layout.alignTolerance', 1);
+
+        const snapAxis = (value, axis) => {
+            if (snapToControls) {
+                const match = others
+                    .map(other => ({ position: other[axis], offset: Math.abs(other[axis] - value) }))
+                    .filter(candidate => candidate.offset <= tolerance)
+                    .sort((a, b) => a.offset - b.offset)[0];
+                if (match) {
+                    return { value: match.position, guide: { axis, position: match.position } };
+                }
+            }
+
+            return { value: gridSize > 0 ? this._round(Math.round(value / gridSize) * gridSize) : value, guide: null };
+        };
+
+        const snappedX = snapAxis(x, 'x');
+        const snappedY = snapAxis(y, 'y');
+        const position = { x: snappedX.value, y: snappedY.value };
+
+        return {
+            ...position,
+            guides: [snappedX.guide, snappedY.guide].filter(Boolean),
+            nearest: this.findNearestNeighbour(position, others)
+        };
+    }
+
+    /**
+     * Closest other control by centre-to-centre distance
+     * @param {Object} position - Absolute position in mm
+     * @param {Array<Object>} others - Absolute positions of the other controls
+     * @returns {Object|null} Nearest control with its distance in mm
+     */
+    findNearestNeighbour(position, others) {
+        return others.reduce((nearest, other) => {
+            const distance = Math.hypot(other.x - position.x, other.y - position.y);
+            return !nearest || distance < nearest.distance ? { ...other, distance } : nearest;
+        }, null);
+    }
+
+    /**
+     * Align controls to the edge or centre of their common bounding box
+     * @param {Array<Object>} controls - All millimetre controls
+     * @param {number[]} indices - Controls to align
+     * @param {string} mode - 'left', 'centre', 'right', 'top', 'middle' or 'bottom'
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Array<Object>} Updated controls
+     */
+    alignControls(controls, indices, mode, panelWidth) {
+        const axis = ['left', 'centre', 'right'].includes(mode) ? 'x' : 'y';
+        const values = indices.map(index => this.getAbsolutePosition(controls[index], panelWidth)[axis]);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const target = { left: min, top: min, right: max, bottom: max }[mode] ?? (min + max) / 2;
+
+        return this._moveEach(controls, indices, panelWidth, position => ({ ...position, [axis]: target }));
+    }
+
+    /**
+     * Space controls evenly between the two outermost ones
+     * @param {Array<Object>} controls - All millimetre controls
+     * @param {number[]} indices - Controls to distribute (at least three to have an effect)
+     * @param {string} axis - 'x' (horizontal) or 'y' (vertical)
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Array<Object>} Updated controls
+     */
+    distributeControls(controls, indices, axis, panelWidth) {
+        if (indices.length < 3) return controls;
+
+        const ordered = [...indices].sort((a, b) =>
+            this.getAbsolutePosition(controls[a], panelWidth)[axis] - this.getAbsolutePosition(controls[b], panelWidth)[axis]
+        );
+        const first = this.getAbsolutePosition(controls[ordered[0]], panelWidth)[axis];
+        const last = this.getAbsolutePosition(controls[ordered[ordered.length - 1]], panelWidth)[axis];
+        const step = (last - first) / (ordered.length - 1);
+
+        return this._moveEach(controls, ordered, panelWidth, (position, order) => ({
+            ...position,
+            [axis]: first + step * order
+        }));
+    }
+
+    /**
+     * Mirror controls across the panel's vertical centre line.
+     * Left- and right-anchored controls swap anchors so they keep tracking their edge.
+     * @param {Array<Object>} controls - All millimetre controls
+     * @param {number[]} indices - Controls to mirror
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Array<Object>} Updated controls
+     */
+    mirrorControls(controls, indices, panelWidth) {
+        const flipped = { left: 'right', right: 'left', centre: 'centre' };
+        const result = [...controls];
+
+        indices.forEach(index => {
+            const control = controls[index];
+            const position = this.getAbsolutePosition(control, panelWidth);
+            const anchor = flipped[control.anchor] || this._defaultAnchor;
+            result[index] = this.setAbsolutePosition({ ...control, anchor }, panelWidth - position.x, position.y, panelWidth);
+        });
+
+        return result;
+    }
+
+    /**
+     * Copies of a control repeated at a fixed pitch (the original is not included)
+     * @param {Object} control - Millimetre control to repeat
+     * @param {number} count - Number of copies
+     * @param {number} pitch - Centre-to-centre spacing in mm (negative goes left/up)
+     * @param {string} axis - 'x' (horizontal row) or 'y' (vertical column)
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Array<Object>} New controls
+     */
+    arrayControl(control, count, pitch, axis, panelWidth) {
+        const origin = this.getAbsolutePosition(control, panelWidth);
+        const copies = [];
+
+        for (let i = 1; i <= count; i++) {
+            const position = { ...origin, [axis]: origin[axis] + pitch * i };
+            copies.push(this.setAbsolutePosition({
+                ...control,
+                id: this.createControlId(),
+                label: `${control.label} ${i + 1}`
+            }, position.x, position.y, panelWidth));
+        }
+
+        return copies;
+    }
+
+    /**
+     * Copies of controls shifted by an offset, for paste
+     * @param {Array<Object>} controls - Millimetre controls to copy
+     * @param {Object} offset - x and y shift in mm
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Array<Object>} New controls
+     */
+    duplicateControls(controls, offset, panelWidth) {
+        return controls.map(control => {
+            const position = this.getAbsolutePosition(control, panelWidth);
+            return this.setAbsolutePosition({
+                ...control,
+                id: this.createControlId(),
+                label: `${control.label} copy`
+            }, position.x + offset.x, position.y + offset.y, panelWidth);
+        });
+    }
+
+    /**
+     * List the supported horizontal anchors
+     * @returns {string[]} Anchor names
+     */
+    getAnchors() {
+        return [...this._anchors];
+    }
+
+    /**
+     * Pick an anchor from where a control sits: left third, middle or right third
+     * @param {number} x - Absolute x in mm from the panel's left edge
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {string} Anchor name
+     */
+    getAnchorForPosition(x, panelWidth) {
+        if (x < panelWidth / 3) return 'left';
+        if (x > panelWidth * 2 / 3) return 'right';
+        return 'centre';
+    }
+
+    /**
+     * Absolute panel position of a millimetre control.
+     * y is always measured from the top edge; x from the control's anchor.
+     * @param {Object} control - Control with x, y (mm) and anchor
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Object} x and y in mm from the panel's top-left corner
+     */
+    getAbsolutePosition(control, panelWidth) {
+        return {
+            x: this._anchorOrigin(control.anchor, panelWidth) + control.x,
+            y: control.y
+        };
+    }
+
+    /**
+     * Move a millimetre control to an absolute panel position, keeping its anchor
+     * @param {Object} control - Control to move
+     * @param {number} x - Absolute x in mm from the panel's left edge
+     * @param {number} y - Absolute y in mm from the panel's top edge
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Object} Updated control
+     */
+    setAbsolutePosition(control, x, y, panelWidth) {
+        const anchor = this._anchors.includes(control.anchor) ? control.anchor : this._defaultAnchor;
+        return {
+            ...control,
+            unit: this._unit,
+            anchor: anchor,
+            x: this._round(x - this._anchorOrigin(anchor, panelWidth)),
+            y: this._round(y)
+        };
+    }
+
+    /**
+     * Change a control's anchor without moving it on the current panel
+     * @param {Object} control - Millimetre control
+     * @param {string} anchor - New anchor
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {Object} Updated control
+     */
+    setAnchor(control, anchor, panelWidth) {
+        const position = this.getAbsolutePosition(control, panelWidth);
+        return this.setAbsolutePosition({ ...control, anchor }, position.x, position.y, panelWidth);
+    }
+
+    /**
+     * Whether a control still uses the old percentage coordinates
+     * @param {Object} control - Control
+     * @returns {boolean} True for percentage controls
+     */
+    isLegacyControl(control) {
+        return control.unit !== this._unit;
+    }
+
+    /**
+     * Convert percentage controls to millimetres on the panel they were laid
+     * out for. Anchors are picked from each control's position; controls that
+     * are already in millimetres are returned unchanged.
+     * @param {Array<Object>} controls - Controls
+     * @param {Object} panelSize - Panel width and height in mm
+     * @returns {Array<Object>} Millimetre controls
+     */
+    migrateControls(controls, panelSize) {
+        return (controls || []).map(control => {
+            if (!this.isLegacyControl(control)) return control;
+
+            const x = control.x / 100 * panelSize.width;
+            const y = control.y / 100 * panelSize.height;
+            const anchor = this.getAnchorForPosition(x, panelSize.width);
+            return this.setAbsolutePosition({ ...control, anchor }, x, y, panelSize.width);
+        });
+    }
+
+    /**
+     * Move selected controls through a position mapping, keeping their anchors
+     * @param {Array<Object>} controls - All millimetre controls
+     * @param {number[]} indices - Controls to move, in the order passed to the mapping
+     * @param {number} panelWidth - Panel width in mm
+     * @param {Function} mapPosition - (absolutePosition, order) => new absolute position
+     * @returns {Array<Object>} Updated controls
+     * @private
+     */
+    _moveEach(controls, indices, panelWidth, mapPosition) {
+        const result = [...controls];
+
+        indices.forEach((index, order) => {
+            const position = mapPosition(this.getAbsolutePosition(controls[index], panelWidth), order);
+            result[index] = this.setAbsolutePosition(controls[index], position.x, position.y, panelWidth);
+        });
+
+        return result;
+    }
+
+    /**
+     * Absolute x origin of an anchor
+     * @param {string} anchor - Anchor name
+     * @param {number} panelWidth - Panel width in mm
+     * @returns {number} Origin in mm from the panel's left edge
+     * @private
+     */
+    _anchorOrigin(anchor, panelWidth) {
+        switch (anchor) {
+            case 'centre':
+                return panelWidth / 2;
+            case 'right':
+                return panelWidth;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Round to 0.01 mm so stored layouts stay readable
+     * @param {number} value - Value in mm
+     * @returns {number} Rounded value
+     * @private
+     */
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Singleton export
+export default new LayoutService();
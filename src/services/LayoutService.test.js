@@ -0,0 +1,98 @@
+import LayoutService from './LayoutService.js';
+
+const panelWidth = 40.3;
+const control = (id, x, y, anchor = 'left') => ({ id, unit: 'mm', anchor, x, y, type: 'jack', label: `Jack ${id}` });
+
+describe('createControlId', () => {
+    test('hands out increasing ids within the same millisecond', () => {
+        const ids = Array.from({ length: 5 }, () => LayoutService.createControlId());
+
+        expect(new Set(ids).size).toBe(5);
+        expect([...ids].sort((a, b) => a - b)).toEqual(ids);
+    });
+
+    test('keeps ids unique when several controls are arrayed at once', () => {
+        const controls = [control(1, 10, 20), control(2, 10, 40)];
+        const copies = controls.flatMap(original => LayoutService.arrayControl(original, 3, 8, 'x', panelWidth));
+        const ids = [...controls, ...copies].map(copy => copy.id);
+
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+});
+
+describe('arrayControl', () => {
+    test('repeats a control at the pitch and numbers the copies', () => {
+        const copies = LayoutService.arrayControl(control(1, 10, 20), 2, -12.5, 'y', panelWidth);
+
+        expect(copies.map(copy => [copy.x, copy.y, copy.label])).toEqual([
+            [10, 7.5, 'Jack 1 2'],
+            [10, -5, 'Jack 1 3']
+        ]);
+    });
+});
+
+describe('alignControls', () => {
+    test('aligns absolute positions while keeping each anchor', () => {
+        const controls = [control(1, 5, 20), control(2, -5, 30, 'right'), control(3, 0, 40, 'centre')];
+        const aligned = LayoutService.alignControls(controls, [0, 1], 'right', panelWidth);
+
+        expect(aligned[0]).toMatchObject({ anchor: 'left', x: 35.3 });
+        expect(aligned[1]).toMatchObject({ anchor: 'right', x: -5 });
+        expect(aligned[2]).toBe(controls[2]);
+    });
+
+    test('centres on the middle of the selection', () => {
+        const controls = [control(1, 10, 20), control(2, 10, 60)];
+        const aligned = LayoutService.alignControls(controls, [0, 1], 'middle', panelWidth);
+
+        expect(aligned.map(moved => moved.y)).toEqual([40, 40]);
+    });
+});
+
+describe('distributeControls', () => {
+    test('spaces controls evenly between the outermost ones', () => {
+        const controls = [control(1, 10, 20), control(2, 10, 90), control(3, 10, 30)];
+        const distributed = LayoutService.distributeControls(controls, [0, 1, 2], 'y', panelWidth);
+
+        expect(distributed.map(moved => moved.y)).toEqual([20, 90, 55]);
+    });
+});
+
+describe('migrateControls', () => {
+    const panelSize = { width: 40.3, height: 128.5 };
+    const legacy = (x, y) => ({ id: 7, type: 'jack', label: 'Out', x, y });
+
+    test('anchors a legacy control left of centre to the left edge', () => {
+        const [migrated] = LayoutService.migrateControls([legacy(20, 50)], panelSize);
+
+        expect(migrated).toEqual({ id: 7, type: 'jack', label: 'Out', unit: 'mm', anchor: 'left', x: 8.06, y: 64.25 });
+    });
+
+    test('anchors a legacy control right of centre to the right edge', () => {
+        const [migrated] = LayoutService.migrateControls([legacy(80, 10)], panelSize);
+
+        expect(migrated).toMatchObject({ unit: 'mm', anchor: 'right', x: -8.06, y: 12.85 });
+        expect(LayoutService.getAbsolutePosition(migrated, panelSize.width).x).toBeCloseTo(32.24);
+    });
+
+    test('keeps the middle third on the centre line', () => {
+        const [migrated] = LayoutService.migrateControls([legacy(50, 50)], panelSize);
+
+        expect(migrated).toMatchObject({ anchor: 'centre', x: 0 });
+    });
+
+    test('passes millimetre controls through unchanged', () => {
+        const controls = [control(1, 5, 20), control(2, -5, 30, 'right')];
+        const migrated = LayoutService.migrateControls(controls, panelSize);
+
+        migrated.forEach((migratedControl, i) => expect(migratedControl).toBe(controls[i]));
+        expect(LayoutService.migrateControls(undefined, panelSize)).toEqual([]);
+    });
+
+    test('survives a save and reload unchanged', () => {
+        const migrated = LayoutService.migrateControls([legacy(20, 50), legacy(80, 10), control(3, 12, 40)], panelSize);
+        const saved = JSON.parse(JSON.stringify({ controls: migrated }));
+
+        expect(LayoutService.migrateControls(saved.controls, panelSize)).toEqual(migrated);
+    });
+});
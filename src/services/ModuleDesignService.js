@@ -1,6 +1,13 @@
 import ErrorService from './ErrorService.js';
 import ConfigService from './ConfigService.js';
 import ThreeJsService from './ThreeJsService.js';
+import PanelStandardsService from './PanelStandardsService.js';
+import ComponentLibraryService from './ComponentLibraryService.js';
+import DesignRuleService from './DesignRuleService.js';
+import LayoutService from './LayoutService.js';
+import ConstraintService from './ConstraintService.js';
+import DepthStackService from './DepthStackService.js';
+import PanelModelService from './PanelModelService.js';
 
 class ModuleDesignService {
     constructor() {
@@ -26,21 +33,32 @@ class ModuleDesignService {
                 min: 2,  // Minimum 2HP 
                 max: 42  // Maximum 42HP
             },
+            // Height and depth ranges depend on the panel format,
+            // see PanelStandardsService.validateFormat
             height: { 
                 required: true, 
-                type: 'number', 
-                min: 100,  // Minimum practical height
-                max: 150  // Maximum practical height
+                type: 'number'
             },
+            // Depth is computed from the behind-panel stack; a typed value is ignored
             depth: { 
-                required: true, 
-                type: 'number', 
-                min: 20,  // Minimum depth
-                max: 45   // Maximum depth
+                required: false, 
+                type: 'number'
+            },
+            stack: {
+                required: false,
+                validator: DepthStackService.validateStack.bind(DepthStackService)
+            },
+            format: {
+                required: false,
+                type: 'string'
             },
             powerDraw: {
                 required: false,
                 validator: this._validatePowerDraw.bind(this)
+            },
+            controls: {
+                required: false,
+                validator: this._validateControls.bind(this)
             }
         };
     }
@@ -96,6 +114,9 @@ class ModuleDesignService {
                 return;
             }
 
+            // Skip optional fields if not provided
+            if (value === undefined) return;
+
             // Type checking
             if (fieldSchema.type && typeof value !== fieldSchema.type) {
                 errors.push(`${key} must be of type ${fieldSchema.type}`);
@@ -120,6 +141,19 @@ class ModuleDesignService {
             }
         });
 
+        // Format-specific height and depth ranges
+        if (errors.length === 0) {
+            errors.push(...PanelStandardsService.validateFormat({
+                ...moduleSpec,
+                depth: DepthStackService.getDepth(moduleSpec)
+            }).errors);
+        }
+
+        // Layout constraints refer to controls by id
+        if (errors.length === 0 && moduleSpec.constraints !== undefined) {
+            errors.push(...ConstraintService.validateConstraints(moduleSpec.constraints, moduleSpec.controls).errors);
+        }
+
         return {
             isValid: errors.length === 0,
             errors: errors
@@ -159,6 +193,43 @@ class ModuleDesignService {
         };
     }
 
+    /**
+     * Validate that every control maps to a component library part
+     * and that its inspector properties are well formed
+     * @param {Array<Object>} controls - Layout controls
+     * @returns {Object} Validation result
+     * @private
+     */
+    _validateControls(controls) {
+        const errors = [];
+
+        if (!Array.isArray(controls)) {
+            errors.push('controls must be an array');
+        } else {
+            controls.forEach((control, index) => {
+                if (!ComponentLibraryService.resolvePart(control)) {
+                    errors.push(`Control ${index + 1} has unknown part: ${control.partId || control.type}`);
+                }
+                if (control.rotation !== undefined && !Number.isFinite(control.rotation)) {
+                    errors.push(`Control ${index + 1} rotation must be a number of degrees`);
+                }
+                if (control.color && !/^#[0-9a-f]{6}$/i.test(control.color)) {
+                    errors.push(`Control ${index + 1} colour must be a #rrggbb value`);
+                }
+                ['signal', 'notes'].forEach(field => {
+                    if (control[field] !== undefined && typeof control[field] !== 'string') {
+                        errors.push(`Control ${index + 1} ${field} must be text`);
+                    }
+                });
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
     /**
      * Normalize and sanitize module specification
      * @param {Object} moduleSpec - Raw module specification
@@ -166,19 +237,44 @@ class ModuleDesignService {
      * @private
      */
     _normalizeModuleSpec(moduleSpec) {
-        return {
+        const normalized = {
             name: moduleSpec.name.trim(),
+            format: PanelStandardsService.getFormat(moduleSpec).id,
             width: Math.round(moduleSpec.width),
-            height: Math.round(moduleSpec.height),
-            depth: Math.round(moduleSpec.depth),
+            // Keep sub-millimetre precision: 3U panels are 128.5 mm, 1U tiles 39.65 mm
+            height: Math.round(moduleSpec.height * 100) / 100,
             powerDraw: moduleSpec.powerDraw ? { 
                 '+12V': moduleSpec.powerDraw['+12V'] || 0,
                 '-12V': moduleSpec.powerDraw['-12V'] || 0,
                 '+5V': moduleSpec.powerDraw['+5V'] || 0
             } : { '+12V': 0, '-12V': 0, '+5V': 0 },
-            controls: moduleSpec.controls || [],
-            images: moduleSpec.images || []
+            controls: [],
+            constraints: moduleSpec.constraints || [],
+            stack: moduleSpec.stack || {},
+            images: moduleSpec.images || [],
+            mountingHoleStyle: moduleSpec.mountingHoleStyle || 'round',
+            mountingHoleOverrides: moduleSpec.mountingHoleOverrides || {}
         };
+
+        if (moduleSpec.panelThickness) {
+            normalized.panelThickness = moduleSpec.panelThickness;
+        }
+
+        normalized.panelDimensions = PanelStandardsService.getPanelDimensions(normalized);
+
+        // Controls are stored in mm; older percentage layouts are migrated
+        // against the panel they were drawn on
+        normalized.controls = LayoutService.migrateControls(moduleSpec.controls, {
+            width: normalized.panelDimensions.actualWidth,
+            height: normalized.panelDimensions.height
+        }).map(control => ({
+            ...control,
+            partId: ComponentLibraryService.resolvePart(control).id
+        }));
+
+        normalized.mountingHoles = PanelStandardsService.getMountingHoles(normalized);
+        normalized.depth = DepthStackService.getDepth(normalized);
+        return normalized;
     }
 
     /**
@@ -210,20 +306,46 @@ class ModuleDesignService {
 
             // Create module group
             const moduleGroup = new THREE.Group();
+            moduleGroup.name = module.name;
+            moduleGroup.userData.module = {
+                name: module.name,
+                format: module.format,
+                widthHP: module.width,
+                widthMm: module.panelDimensions.actualWidth,
+                nominalWidthMm: module.panelDimensions.nominalWidth,
+                heightMm: module.height,
+                panelThicknessMm: module.panelDimensions.thickness,
+                depthMm: module.depth,
+                powerDraw: module.powerDraw
+            };
+
+            // Design-rule summary, checked again by ExportService before export
+            const designRules = DesignRuleService.checkModule(module);
+            if (designRules) {
+                moduleGroup.userData.module.designRules = {
+                    errors: designRules.errors,
+                    warnings: designRules.warnings
+                };
+            }
 
-            // Panel
-            const panelGeometry = new THREE.BoxGeometry(
-                module.width * this._standards.hpUnit, 
-                module.height, 
-                2
-            );
-            const panelMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
-            const panel = new THREE.Mesh(panelGeometry, panelMaterial);
+            // Panel with its control holes and mounting slots cut through
+            const panel = PanelModelService.createPanelMesh(module);
+            if (!panel) {
+                throw new Error('Could not build the panel geometry');
+            }
+            panel.userData.mountingHoles = module.mountingHoles.map(hole => ({ ...hole }));
             moduleGroup.add(panel);
 
+            // PCBs, standoffs and power header behind the panel
+            const stackModel = DepthStackService.createStackModel(module);
+            if (stackModel) {
+                stackModel.position.z = -module.panelDimensions.thickness / 2;
+                moduleGroup.add(stackModel);
+            }
+
             // Add controls
-            module.controls.forEach(control => {
-                this._addControlTo3DModel(moduleGroup, control, module);
+            module.controls.forEach((control, index) => {
+                this._addControlTo3DModel(moduleGroup, control, module, index);
             });
 
             return moduleGroup;
@@ -237,49 +359,216 @@ class ModuleDesignService {
     }
 
     /**
-     * Add a control to the 3D module model
+     * Create a 3D-printable version of the module's front panel, laid flat
+     * for slicing. See PanelModelService.createPrintableGeometry for options.
+     * @param {Object} moduleSpec - Module specification
+     * @param {Object} options - Print options (thickness, holeCompensation, chamfer, ribs, legends, font)
+     * @returns {THREE.Group|null} Group holding the 'printable_panel' mesh, with print details in userData.print
+     */
+    createPrintablePanel(moduleSpec, options = {}) {
+        try {
+            const module = this.createModule(moduleSpec);
+            if (!module) {
+                throw new Error('Invalid module specification');
+            }
+
+            const print = PanelModelService.createPrintableGeometry(module, options);
+            if (!print) {
+                throw new Error('Could not build the printable panel geometry');
+            }
+
+            const mesh = new THREE.Mesh(print.geometry, new THREE.MeshLambertMaterial({ color: options.color ?? 0x333333 }));
+            mesh.name = 'printable_panel';
+
+            const printGroup = new THREE.Group();
+            printGroup.name = `${module.name}_panel`;
+            printGroup.add(mesh);
+            printGroup.userData.module = {
+                name: module.name,
+                format: module.format,
+                widthHP: module.width,
+                widthMm: module.panelDimensions.actualWidth,
+                heightMm: module.height,
+                panelThicknessMm: print.thickness
+            };
+
+            // Same export guard as the full module model
+            const designRules = DesignRuleService.checkModule(module);
+            if (designRules) {
+                printGroup.userData.module.designRules = {
+                    errors: designRules.errors,
+                    warnings: designRules.warnings
+                };
+            }
+
+            printGroup.userData.print = {
+                thickness: print.thickness,
+                holeCompensation: print.holeCompensation,
+                chamfer: print.chamfer,
+                ribs: print.ribs,
+                legends: print.legends,
+                warnings: print.warnings
+            };
+
+            return printGroup;
+        } catch (error) {
+            ErrorService.handleError(error, { 
+                context: 'Printable Panel Generation', 
+                moduleSpec: moduleSpec 
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Plan module placement across the rows of a rack.
+     * Each module goes into the first row of its own panel format that
+     * still has room; modules without a matching row are left unplaced.
+     * @param {Array<Object>} modules - Module specifications in rack order
+     * @param {Object} options - Rack options
+     * @param {number} options.widthHP - Rack width in HP (unlimited if omitted)
+     * @param {Array<string>} options.rows - Row format ids from top to bottom,
+     *   defaults to one row per format used by the modules
+     * @returns {Object} Rows with placed modules and HP offsets, plus unplaced modules
+     */
+    planRack(modules, options = {}) {
+        const rowFormats = options.rows ||
+            [...new Set(modules.map(moduleSpec => PanelStandardsService.getFormat(moduleSpec).id))];
+        const rows = rowFormats.map(formatId => ({
+            format: PanelStandardsService.getFormat({ format: formatId }).id,
+            modules: [],
+            usedHP: 0
+        }));
+        const unplaced = [];
+
+        modules.forEach(moduleSpec => {
+            const format = PanelStandardsService.getFormat(moduleSpec);
+            const widthHP = Math.round(moduleSpec.width);
+            const matchingRows = rows.filter(row => row.format === format.id);
+            const row = matchingRows.find(candidate =>
+                !options.widthHP || candidate.usedHP + widthHP <= options.widthHP
+            );
+
+            if (!row) {
+                unplaced.push({
+                    module: moduleSpec,
+                    reason: matchingRows.length
+                        ? `No room left in ${format.label} rows`
+                        : `Rack has no ${format.label} row`
+                });
+                return;
+            }
+
+            row.modules.push({ module: moduleSpec, offsetHP: row.usedHP });
+            row.usedHP += widthHP;
+        });
+
+        return {
+            widthHP: options.widthHP || Math.max(0, ...rows.map(row => row.usedHP)),
+            rows: rows,
+            unplaced: unplaced
+        };
+    }
+
+    /**
+     * Generate a 3D representation of a whole rack.
+     * Modules are placed side by side from the left rail in HP steps,
+     * one row per panel format, stacked from the top row down.
+     * @param {Array<Object>} modules - Module specifications in rack order
+     * @param {Object} options - Rack options
+     * @param {string} options.name - Rack name
+     * @param {number} options.widthHP - Rack width in HP
+     * @param {Array<string>} options.rows - Row format ids from top to bottom
+     * @returns {THREE.Group} 3D rack representation
+     */
+    createRack3DModel(modules, options = {}) {
+        try {
+            const rackGroup = new THREE.Group();
+            rackGroup.name = options.name || 'rack';
+
+            const plan = this.planRack(modules, options);
+
+            // Rows stack downwards; the first row stays centred on y = 0
+            const rowHeights = plan.rows.map(row => PanelStandardsService.getFormat({ format: row.format }).rowHeight);
+            let rowTop = 0;
+            plan.rows.forEach((row, rowIndex) => {
+                const rowHeight = rowHeights[rowIndex];
+                const rowY = rowHeights[0] / 2 - (rowTop + rowHeight / 2);
+                rowTop += rowHeight;
+
+                row.modules.forEach(({ module: moduleSpec, offsetHP }) => {
+                    const moduleGroup = this.create3DModel(moduleSpec);
+                    if (!moduleGroup) return;
+
+                    const widthHP = moduleGroup.userData.module.widthHP;
+                    moduleGroup.position.x = (offsetHP + widthHP / 2) * this._standards.hpUnit;
+                    moduleGroup.position.y = rowY;
+                    rackGroup.add(moduleGroup);
+                });
+            });
+
+            rackGroup.userData.rack = {
+                widthHP: plan.widthHP,
+                usedHP: plan.rows.reduce((sum, row) => sum + row.usedHP, 0),
+                moduleCount: rackGroup.children.length,
+                rows: plan.rows.map(row => ({
+                    format: row.format,
+                    usedHP: row.usedHP,
+                    moduleCount: row.modules.length
+                })),
+                unplaced: plan.unplaced.map(({ module, reason }) => ({ name: module.name, reason }))
+            };
+
+            return rackGroup;
+        } catch (error) {
+            ErrorService.handleError(error, { 
+                context: '3D Rack Model Generation', 
+                moduleCount: modules.length 
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Add a control to the 3D module model using its library part
      * @param {THREE.Group} moduleGroup - Module group to add control to
-     * @param {Object} control - Control specification
+     * @param {Object} control - Control specification (partId or generic type)
      * @param {Object} module - Module specification
+     * @param {number} index - Control index, used for the mesh name
      * @private
      */
-    _addControlTo3DModel(moduleGroup, control, module) {
-        const width = module.width * this._standards.hpUnit;
-        const height = module.height;
-
-        // Convert percentage position to 3D coordinates
-        const x = (control.x / 100 * width) - (width / 2);
-        const y = (height / 2) - (control.y / 100 * height);
-        const z = module.depth / 2 + 1;
-
-        let geometry, material, mesh;
-
-        switch (control.type) {
-            case 'knob':
-                geometry = new THREE.CylinderGeometry(4, 4, 6, 16);
-                material = new THREE.MeshLambertMaterial({ color: 0x666666 });
-                break;
-            case 'jack':
-                geometry = new THREE.CylinderGeometry(3, 3, 8, 16);
-                material = new THREE.MeshLambertMaterial({ color: 0x000000 });
-                break;
-            case 'switch':
-                geometry = new THREE.BoxGeometry(6, 12, 4);
-                material = new THREE.MeshLambertMaterial({ color: 0x444444 });
-                break;
-            default:
-                return;
-        }
+    _addControlTo3DModel(moduleGroup, control, module, index) {
+        const { actualWidth: width, height, thickness } = module.panelDimensions;
+        const part = ComponentLibraryService.getPart(control.partId);
+        const partModel = ComponentLibraryService.createPartModel(part, {
+            name: `${part.type}_${index + 1}`,
+            panelThickness: thickness,
+            rotation: control.rotation,
+            color: control.color
+        });
+        if (!partModel) return;
+
+        // Carried into GLB extras so the model can be traced back to the layout
+        partModel.userData.control = {
+            label: control.label || '',
+            signal: control.signal || '',
+            notes: control.notes || ''
+        };
 
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.set(x, y, z);
-        moduleGroup.add(mesh);
+        // Panel millimetres (top-left origin) to 3D coordinates on the panel's front face
+        const position = LayoutService.getAbsolutePosition(control, width);
+        partModel.position.set(
+            position.x - (width / 2),
+            (height / 2) - position.y,
+            thickness / 2
+        );
+        moduleGroup.add(partModel);
     }
 
     /**
      * Export module specifications
      * @param {Object} moduleSpec - Module specification
-     * @param {string} format - Export format (json, csv)
+     * @param {string} format - Export format (json, csv, bom)
      * @returns {string} Exported module data
      */
     exportModule(moduleSpec, format = 'json') {
@@ -293,11 +582,101 @@ class ModuleDesignService {
                 return JSON.stringify(module, null, 2);
             case 'csv':
                 return this._exportToCSV(module);
+            case 'bom':
+                return this._exportBOMToCSV(this.getBillOfMaterials(module));
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
     }
 
+    /**
+     * Bill of materials for a module's panel parts and power header.
+     * Controls using the same part in the same colour share a line.
+     * @param {Object} moduleSpec - Module specification
+     * @returns {Array<Object>} Lines with part, colour, quantity, references, signals and notes
+     */
+    getBillOfMaterials(moduleSpec) {
+        const module = this.createModule(moduleSpec);
+        if (!module) {
+            throw new Error('Cannot build a bill of materials for an invalid module');
+        }
+
+        const lines = new Map();
+        module.controls.forEach((control, index) => {
+            const part = ComponentLibraryService.getPart(control.partId);
+            const color = ComponentLibraryService.isColorable(part) ? control.color || '' : '';
+            const key = `${part.id}|${color}`;
+
+            if (!lines.has(key)) {
+                lines.set(key, {
+                    partId: part.id,
+                    name: part.name,
+                    type: part.type,
+                    color: color,
+                    quantity: 0,
+                    references: [],
+                    signals: [],
+                    notes: []
+                });
+            }
+
+            const line = lines.get(key);
+            line.quantity++;
+            line.references.push(control.label || `${part.type} ${index + 1}`);
+            if (control.signal) line.signals.push(control.signal);
+            if (control.notes) line.notes.push(control.notes);
+        });
+
+        // Every module takes a power header behind the panel
+        const header = DepthStackService.getStack(module).powerHeader;
+        lines.set('power-header', {
+            partId: `power-header-${header.pins}`,
+            name: `${header.pins}-pin shrouded Eurorack power header (2x${header.pins / 2}, 2.54mm)`,
+            type: 'power',
+            color: '',
+            quantity: 1,
+            references: ['Power'],
+            signals: [],
+            notes: [`${header.orientation}, -12V stripe ${header.stripe}`]
+        });
+
+        return [...lines.values()];
+    }
+
+    /**
+     * Convert a bill of materials to CSV
+     * @param {Array<Object>} lines - Result of getBillOfMaterials
+     * @returns {string} CSV representation
+     * @private
+     */
+    _exportBOMToCSV(lines) {
+        const rows = [
+            ['Part', 'Description', 'Colour', 'Quantity', 'References', 'Signals', 'Notes'],
+            ...lines.map(line => [
+                line.partId,
+                line.name,
+                line.color,
+                line.quantity,
+                line.references.join('; '),
+                line.signals.join('; '),
+                line.notes.join('; ')
+            ])
+        ];
+
+        return rows.map(row => row.map(cell => this._csvCell(cell)).join(',')).join('\n');
+    }
+
+    /**
+     * Quote a CSV cell when it holds separators, quotes or line breaks
+     * @param {*} value - Cell value
+     * @returns {string} CSV-safe cell
+     * @private
+     */
+    _csvCell(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     /**
      * Convert module to CSV format
      * @param {Object} module - Normalized module specification
@@ -305,13 +684,25 @@ class ModuleDesignService {
      * @private
      */
     _exportToCSV(module) {
+        const stack = DepthStackService.getStack(module);
+        const header = stack.powerHeader;
         const rows = [
             ['Property', 'Value'],
             ['Name', module.name],
+            ['Format', module.format],
             ['Width (HP)', module.width],
             ['Width (mm)', module.hpWidth],
+            ['Panel Width (mm)', module.panelDimensions.actualWidth],
             ['Height (mm)', module.height],
+            ['Panel Thickness (mm)', module.panelDimensions.thickness],
             ['Depth (mm)', module.depth],
+            ['PCBs', stack.pcbs.length],
+            ['Case Depth (mm)', stack.caseDepth],
+            ['Power Header Pins', header.pins],
+            ['Power Header Orientation', header.orientation],
+            ['Power Header -12V Side', header.stripe],
+            ['Power Header X (mm)', Math.round(header.x * 100) / 100],
+            ['Power Header Y (mm)', Math.round(header.y * 100) / 100],
             ['Volume (cm³)', module.volumeCm3],
             ['+12V Power Draw (mA)', module.powerDraw['+12V']],
             ['-12V Power Draw (mA)', module.powerDraw['-12V']],
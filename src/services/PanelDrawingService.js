@@ -0,0 +1,441 @@
+import ErrorService from './ErrorService.js';
+import PanelStandardsService from './PanelStandardsService.js';
+import ComponentLibraryService from './ComponentLibraryService.js';
+import LayoutService from './LayoutService.js';
+
+class PanelDrawingService {
+    constructor() {
+        // Drawing layers and their DXF colour numbers (ACI)
+        this._layers = {
+            OUTLINE: 7,  // White/black
+            DRILL: 1,    // Red
+            ENGRAVE: 5   // Blue
+        };
+
+        this._labelHeight = 2.5;  // Engraved text height in mm
+        this._labelOffset = 2;    // Gap between hole edge and label in mm
+
+        // SVG stroke styling per drawing group
+        this._svgStyles = {
+            outline: 'fill:none;stroke:#000000;stroke-width:0.1',
+            holes: 'fill:none;stroke:#ff0000;stroke-width:0.1',
+            labels: 'fill:#0000ff;font-family:sans-serif;text-anchor:middle'
+        };
+    }
+
+    /**
+     * Build the flat panel geometry shared by all 2D drawings.
+     * Coordinates are millimetres from the panel's top-left corner, Y down,
+     * using the actual (toleranced) panel width. Control holes are round
+     * (diameter) or rectangular cutouts (width/height) from the part library,
+     * with the control's clockwise rotation in degrees.
+     * @param {Object} moduleSpec - Module specification (width in HP, controls in mm)
+     * @returns {Object} Panel outline size, holes and mounting holes
+     */
+    getPanelGeometry(moduleSpec) {
+        const { actualWidth: width, height } = PanelStandardsService.getPanelDimensions(moduleSpec);
+        const controls = LayoutService.migrateControls(moduleSpec.controls, { width, height });
+
+        const holes = controls.map(control => {
+            const part = ComponentLibraryService.resolvePart(control);
+            if (!part) {
+                throw new Error(`Unknown control part: ${control.partId || control.type}`);
+            }
+
+            return {
+                type: part.type,
+                partId: part.id,
+                label: control.label || '',
+                rotation: control.rotation || 0,
+                ...LayoutService.getAbsolutePosition(control, width),
+                ...part.panelHole
+            };
+        });
+
+        const mountingHoles = PanelStandardsService.getMountingHoles({ ...moduleSpec, height });
+
+        return {
+            name: moduleSpec.name || 'module',
+            width,
+            height,
+            holes,
+            mountingHoles
+        };
+    }
+
+    /**
+     * Where a control's label is engraved: centred under the hole, with the
+     * baseline one label height below the gap under the hole edge
+     * @param {Object} hole - Control hole from getPanelGeometry
+     * @returns {Object} x and baseline y in mm (Y down), and text height
+     */
+    getLabelPosition(hole) {
+        return {
+            x: hole.x,
+            y: hole.y + this._holeHalfHeight(hole) + this._labelOffset + this._labelHeight,
+            height: this._labelHeight
+        };
+    }
+
+    /**
+     * Export the front panel as an R12 DXF drawing for CNC/laser cutting.
+     * Layers: OUTLINE (panel edge), DRILL (control and mounting holes),
+     * ENGRAVE (control labels).
+     * @param {Object} moduleSpec - Module specification
+     * @returns {string|null} DXF text
+     */
+    exportDXF(moduleSpec) {
+        try {
+            const panel = this.getPanelGeometry(moduleSpec);
+            // DXF uses a Y-up origin at the bottom-left corner
+            const toDxfY = (y) => panel.height - y;
+            const entities = [];
+
+            // Panel outline
+            entities.push(...this._dxfPolyline('OUTLINE', [
+                [0, 0, 0],
+                [panel.width, 0, 0],
+                [panel.width, panel.height, 0],
+                [0, panel.height, 0]
+            ]));
+
+            // Control holes/cutouts and labels
+            panel.holes.forEach(hole => {
+                if (hole.diameter) {
+                    entities.push(...this._dxfCircle('DRILL', hole.x, toDxfY(hole.y), hole.diameter / 2));
+                } else {
+                    // DXF Y points up, so a clockwise turn is a negative angle
+                    entities.push(...this._dxfRectangle('DRILL', hole.x, toDxfY(hole.y), hole.width, hole.height, -hole.rotation));
+                }
+
+                if (hole.label) {
+                    const label = this.getLabelPosition(hole);
+                    entities.push(...this._dxfText('ENGRAVE', label.x, toDxfY(label.y), hole.label));
+                }
+            });
+
+            // Rail mounting holes (round or slotted)
+            panel.mountingHoles.forEach(hole => {
+                if (hole.slotLength > 0) {
+                    entities.push(...this._dxfSlot('DRILL', hole.x, toDxfY(hole.y), hole.diameter, hole.slotLength));
+                } else {
+                    entities.push(...this._dxfCircle('DRILL', hole.x, toDxfY(hole.y), hole.diameter / 2));
+                }
+            });
+
+            return [
+                ...this._dxfHeader(panel),
+                ...this._dxfLayerTable(),
+                '0', 'SECTION',
+                '2', 'ENTITIES',
+                ...entities,
+                '0', 'ENDSEC',
+                '0', 'EOF'
+            ].join('\n');
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'DXF Panel Export',
+                moduleSpec: moduleSpec
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Export the front panel as an SVG at true millimetre scale.
+     * Each part of the drawing is an Inkscape layer, with an empty (or
+     * image-filled) artwork layer underneath for panel graphics.
+     * @param {Object} moduleSpec - Module specification
+     * @param {Object} options - Export options
+     * @param {string} options.artworkImage - Optional image data URL stretched over the panel
+     * @returns {string|null} SVG markup
+     */
+    exportSVG(moduleSpec, options = {}) {
+        try {
+            const panel = this.getPanelGeometry(moduleSpec);
+            const w = this._num(panel.width);
+            const h = this._num(panel.height);
+
+            const artwork = options.artworkImage
+                ? `    <image x="0" y="0" width="${w}" height="${h}" preserveAspectRatio="none" xlink:href="${this._escapeXml(options.artworkImage)}" />`
+                : '';
+
+            const holes = panel.holes.map(hole => hole.diameter
+                ? `    <circle cx="${this._num(hole.x)}" cy="${this._num(hole.y)}" r="${this._num(hole.diameter / 2)}" data-type="${hole.type}" data-part="${hole.partId}" />`
+                : `    <rect x="${this._num(hole.x - hole.width / 2)}" y="${this._num(hole.y - hole.height / 2)}" width="${this._num(hole.width)}" height="${this._num(hole.height)}"${hole.rotation ? ` transform="rotate(${this._num(hole.rotation)} ${this._num(hole.x)} ${this._num(hole.y)})"` : ''} data-type="${hole.type}" data-part="${hole.partId}" />`
+            );
+
+            const mountingHoles = panel.mountingHoles.map(hole => hole.slotLength > 0
+                ? `    <path d="${this._svgSlotPath(hole)}" />`
+                : `    <circle cx="${this._num(hole.x)}" cy="${this._num(hole.y)}" r="${this._num(hole.diameter / 2)}" />`
+            );
+
+            const labels = panel.holes
+                .filter(hole => hole.label)
+                .map(hole => {
+                    // Baseline sits below the hole, matching the DXF engrave layer
+                    const label = this.getLabelPosition(hole);
+                    return `    <text x="${this._num(label.x)}" y="${this._num(label.y)}" font-size="${label.height}">${this._escapeXml(hole.label)}</text>`;
+                });
+
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<!-- EuroRack 3D Modeler panel: ${this._escapeXml(panel.name).replace(/--/g, '- -')} -->`,
+                `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${w}mm" height="${h}mm" viewBox="0 0 ${w} ${h}">`,
+                this._svgLayer('artwork', 'Artwork', '', artwork ? [artwork] : []),
+                this._svgLayer('outline', 'Outline', this._svgStyles.outline, [
+                    `    <rect x="0" y="0" width="${w}" height="${h}" />`
+                ]),
+                this._svgLayer('holes', 'Holes', this._svgStyles.holes, [...holes, ...mountingHoles]),
+                this._svgLayer('labels', 'Labels', this._svgStyles.labels, labels),
+                '</svg>'
+            ].join('\n');
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'SVG Panel Export',
+                moduleSpec: moduleSpec
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Half the vertical extent of a round hole or (rotated) rectangular cutout
+     * @param {Object} hole - Control hole
+     * @returns {number} Half height in mm
+     * @private
+     */
+    _holeHalfHeight(hole) {
+        if (hole.diameter) return hole.diameter / 2;
+
+        const angle = (hole.rotation || 0) * Math.PI / 180;
+        return (Math.abs(hole.width * Math.sin(angle)) + Math.abs(hole.height * Math.cos(angle))) / 2;
+    }
+
+    /**
+     * SVG group marked as an Inkscape layer
+     * @param {string} id - Element id
+     * @param {string} label - Layer name shown in Inkscape/Illustrator
+     * @param {string} style - Inline style for the group
+     * @param {string[]} children - Child element markup
+     * @returns {string} Group markup
+     * @private
+     */
+    _svgLayer(id, label, style, children) {
+        const styleAttribute = style ? ` style="${style}"` : '';
+        return [
+            `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}"${styleAttribute}>`,
+            ...children,
+            '  </g>'
+        ].join('\n');
+    }
+
+    /**
+     * SVG path for a horizontal oval slot
+     * @param {Object} hole - Mounting hole with x, y, diameter and slotLength
+     * @returns {string} Path data
+     * @private
+     */
+    _svgSlotPath(hole) {
+        const radius = hole.diameter / 2;
+        const halfStraight = Math.max(0, (hole.slotLength - hole.diameter) / 2);
+        const left = this._num(hole.x - halfStraight);
+        const right = this._num(hole.x + halfStraight);
+        const top = this._num(hole.y - radius);
+        const bottom = this._num(hole.y + radius);
+        const r = this._num(radius);
+
+        return `M ${left} ${top} L ${right} ${top} A ${r} ${r} 0 0 1 ${right} ${bottom} L ${left} ${bottom} A ${r} ${r} 0 0 1 ${left} ${top} Z`;
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     * @private
+     */
+    _escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * DXF header section (R12, millimetre units)
+     * @param {Object} panel - Panel geometry
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfHeader(panel) {
+        return [
+            '999', `EuroRack 3D Modeler panel: ${panel.name}`,
+            '0', 'SECTION',
+            '2', 'HEADER',
+            '9', '$ACADVER', '1', 'AC1009',
+            '9', '$INSUNITS', '70', '4',  // Millimetres
+            '9', '$MEASUREMENT', '70', '1',  // Metric
+            '9', '$EXTMIN', '10', '0', '20', '0', '30', '0',
+            '9', '$EXTMAX', '10', this._num(panel.width), '20', this._num(panel.height), '30', '0',
+            '0', 'ENDSEC'
+        ];
+    }
+
+    /**
+     * DXF layer table
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfLayerTable() {
+        const layerNames = Object.keys(this._layers);
+        return [
+            '0', 'SECTION',
+            '2', 'TABLES',
+            '0', 'TABLE',
+            '2', 'LAYER',
+            '70', String(layerNames.length),
+            ...layerNames.flatMap(name => [
+                '0', 'LAYER',
+                '2', name,
+                '70', '0',
+                '62', String(this._layers[name]),
+                '6', 'CONTINUOUS'
+            ]),
+            '0', 'ENDTAB',
+            '0', 'ENDSEC'
+        ];
+    }
+
+    /**
+     * DXF circle entity
+     * @param {string} layer - Layer name
+     * @param {number} x - Centre X in mm
+     * @param {number} y - Centre Y in mm
+     * @param {number} radius - Radius in mm
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfCircle(layer, x, y, radius) {
+        return [
+            '0', 'CIRCLE',
+            '8', layer,
+            '10', this._num(x),
+            '20', this._num(y),
+            '30', '0',
+            '40', this._num(radius)
+        ];
+    }
+
+    /**
+     * DXF closed polyline
+     * @param {string} layer - Layer name
+     * @param {Array<number[]>} vertices - Vertices as [x, y, bulge]
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfPolyline(layer, vertices) {
+        return [
+            '0', 'POLYLINE',
+            '8', layer,
+            '66', '1',
+            '70', '1',  // Closed
+            ...vertices.flatMap(([x, y, bulge]) => [
+                '0', 'VERTEX',
+                '8', layer,
+                '10', this._num(x),
+                '20', this._num(y),
+                ...(bulge ? ['42', this._num(bulge)] : [])
+            ]),
+            '0', 'SEQEND',
+            '8', layer
+        ];
+    }
+
+    /**
+     * DXF closed rectangle centred on a point
+     * @param {string} layer - Layer name
+     * @param {number} x - Centre X in mm
+     * @param {number} y - Centre Y in mm
+     * @param {number} width - Width in mm
+     * @param {number} height - Height in mm
+     * @param {number} rotation - Counter-clockwise rotation about the centre in degrees
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfRectangle(layer, x, y, width, height, rotation = 0) {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        const angle = rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return this._dxfPolyline(layer, [
+            [-halfWidth, -halfHeight],
+            [halfWidth, -halfHeight],
+            [halfWidth, halfHeight],
+            [-halfWidth, halfHeight]
+        ].map(([dx, dy]) => [x + dx * cos - dy * sin, y + dx * sin + dy * cos, 0]));
+    }
+
+    /**
+     * DXF horizontal oval slot
+     * @param {string} layer - Layer name
+     * @param {number} x - Centre X in mm
+     * @param {number} y - Centre Y in mm
+     * @param {number} diameter - Slot width in mm
+     * @param {number} slotLength - Overall slot length in mm
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfSlot(layer, x, y, diameter, slotLength) {
+        const radius = diameter / 2;
+        const halfStraight = Math.max(0, (slotLength - diameter) / 2);
+
+        // Bulge of 1 draws a semicircle between consecutive vertices
+        return this._dxfPolyline(layer, [
+            [x - halfStraight, y - radius, 0],
+            [x + halfStraight, y - radius, 1],
+            [x + halfStraight, y + radius, 0],
+            [x - halfStraight, y + radius, 1]
+        ]);
+    }
+
+    /**
+     * DXF single-line text, centred horizontally
+     * @param {string} layer - Layer name
+     * @param {number} x - Anchor X in mm
+     * @param {number} y - Baseline Y in mm
+     * @param {string} text - Text to write
+     * @returns {string[]} Group code/value pairs
+     * @private
+     */
+    _dxfText(layer, x, y, text) {
+        return [
+            '0', 'TEXT',
+            '8', layer,
+            '10', this._num(x),
+            '20', this._num(y),
+            '30', '0',
+            '40', this._num(this._labelHeight),
+            '1', text.replace(/[\r\n]+/g, ' '),
+            '72', '1',  // Centre justified
+            '11', this._num(x),
+            '21', this._num(y),
+            '31', '0'
+        ];
+    }
+
+    /**
+     * Format a coordinate for DXF output
+     * @param {number} value - Value in mm
+     * @returns {string} Formatted value
+     * @private
+     */
+    _num(value) {
+        return String(parseFloat(value.toFixed(4)));
+    }
+}
+
+// Singleton export
+export default new PanelDrawingService();
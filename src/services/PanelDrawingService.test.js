@@ -0,0 +1,76 @@
+import PanelDrawingService from './PanelDrawingService.js';
+
+// 8HP panel (40.3mm wide) with a pot and a jack
+const createModuleSpec = () => ({
+    name: 'Test VCO',
+    width: 8,
+    controls: [
+        { unit: 'mm', anchor: 'left', x: 20, y: 30, type: 'pot', partId: 'alpha-9mm-pot', label: 'Freq <Hz>' },
+        { unit: 'mm', anchor: 'left', x: 10, y: 100, type: 'jack', partId: 'thonkiconn-pj398sm', label: 'Out' }
+    ]
+});
+
+// Group codes and values of each DXF entity
+const readEntities = (dxf) => {
+    const lines = dxf.split('\n');
+    const start = lines.indexOf('ENTITIES') + 1;
+    const end = lines.indexOf('ENDSEC', start) - 1;
+    const entities = [];
+
+    for (let i = start; i < end; i += 2) {
+        if (lines[i] === '0') {
+            entities.push({ type: lines[i + 1] });
+        } else {
+            entities[entities.length - 1][lines[i]] = lines[i + 1];
+        }
+    }
+    return entities;
+};
+
+describe('exportDXF', () => {
+    test('declares the drawing layers', () => {
+        const dxf = PanelDrawingService.exportDXF(createModuleSpec());
+
+        ['OUTLINE', 'DRILL', 'ENGRAVE'].forEach(layer => {
+            expect(dxf).toContain(`0\nLAYER\n2\n${layer}\n`);
+        });
+        expect(dxf.endsWith('0\nEOF')).toBe(true);
+    });
+
+    test('puts the outline, holes and labels on their layers with Y up', () => {
+        const entities = readEntities(PanelDrawingService.exportDXF(createModuleSpec()));
+        const onLayer = (layer, type) => entities.filter(entity => entity['8'] === layer && entity.type === type);
+
+        expect(onLayer('OUTLINE', 'VERTEX').map(vertex => [vertex['10'], vertex['20']])).toEqual([
+            ['0', '0'], ['40.3', '0'], ['40.3', '128.5'], ['0', '128.5']
+        ]);
+
+        // Two controls and two rail mounting holes
+        const drills = onLayer('DRILL', 'CIRCLE');
+        expect(drills).toHaveLength(4);
+        expect(drills[0]).toMatchObject({ '10': '20', '20': '98.5', '40': '3.6' });
+
+        expect(onLayer('ENGRAVE', 'TEXT').map(text => text['1'])).toEqual(['Freq <Hz>', 'Out']);
+    });
+});
+
+describe('exportSVG', () => {
+    test('sizes the drawing in millimetres', () => {
+        const svg = PanelDrawingService.exportSVG(createModuleSpec());
+
+        expect(svg).toContain('width="40.3mm" height="128.5mm" viewBox="0 0 40.3 128.5"');
+        ['artwork', 'outline', 'holes', 'labels'].forEach(layer => {
+            expect(svg).toContain(`<g id="${layer}" inkscape:groupmode="layer"`);
+        });
+    });
+
+    test('escapes labels and sets them under their holes', () => {
+        const spec = createModuleSpec();
+        const svg = PanelDrawingService.exportSVG(spec);
+        const label = PanelDrawingService.getLabelPosition(PanelDrawingService.getPanelGeometry(spec).holes[0]);
+
+        expect(label).toEqual({ x: 20, y: 30 + 3.6 + 2 + 2.5, height: 2.5 });
+        expect(svg).toContain(`<text x="20" y="${label.y}" font-size="2.5">Freq &lt;Hz&gt;</text>`);
+        expect(svg).not.toContain('<Hz>');
+    });
+});
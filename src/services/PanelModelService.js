@@ -0,0 +1,442 @@
+import ErrorService from './ErrorService.js';
+import ConfigService from './ConfigService.js';
+import PanelStandardsService from './PanelStandardsService.js';
+import PanelDrawingService from './PanelDrawingService.js';
+import ComponentLibraryService from './ComponentLibraryService.js';
+import CSGService from './CSGService.js';
+
+class PanelModelService {
+    constructor() {
+        // Cutters overshoot both panel faces so no skin is left behind
+        this._cutterOvershoot = 1;
+        // Ribs sink this far into the back face so the union has no coplanar faces
+        this._ribOverlap = 0.2;
+    }
+
+    /**
+     * Build the front panel as a solid with its drill holes, mounting slots
+     * and display windows cut through, from the same hole data as the 2D
+     * drawings. The panel is centred on the origin with its front face at
+     * +thickness/2, like the plain slab it replaces.
+     * @param {Object} moduleSpec - Module specification (width in HP, controls in mm)
+     * @param {Object} options - Geometry options
+     * @param {number} options.thickness - Panel thickness in mm, defaults to the module's
+     * @param {number} options.holeCompensation - Added to every hole size in mm
+     * @returns {THREE.BufferGeometry|null} Watertight panel geometry
+     */
+    createPanelGeometry(moduleSpec, options = {}) {
+        try {
+            const panel = PanelDrawingService.getPanelGeometry(moduleSpec);
+            const thickness = options.thickness ?? PanelStandardsService.getPanelDimensions(moduleSpec).thickness;
+            const slab = new THREE.BoxGeometry(panel.width, panel.height, thickness);
+            const cutters = this._createCutters(panel, thickness, options.holeCompensation || 0);
+
+            if (cutters.length === 0) return slab;
+
+            const geometry = CSGService.subtract(slab, cutters);
+            if (!geometry) {
+                throw new Error('Panel hole cutting failed');
+            }
+            return geometry;
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Panel Model Generation',
+                moduleSpec: moduleSpec
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Panel mesh ready to add to a module model
+     * @param {Object} moduleSpec - Module specification
+     * @param {Object} options - Mesh options
+     * @param {number} options.color - Panel colour
+     * @returns {THREE.Mesh|null} Panel mesh named 'panel'
+     */
+    createPanelMesh(moduleSpec, options = {}) {
+        const geometry = this.createPanelGeometry(moduleSpec);
+        if (!geometry) return null;
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: options.color ?? 0x333333 }));
+        mesh.name = 'panel';
+        return mesh;
+    }
+
+    /**
+     * Build a panel for FDM/resin printing: thicker than aluminium, with
+     * stiffening ribs on the back that keep clear of every part footprint,
+     * chamfered front edges, legends recessed into the front and holes
+     * opened up for printer shrinkage. The result is laid flat with the
+     * front face on the bed at z = 0 and the ribs pointing up.
+     * @param {Object} moduleSpec - Module specification
+     * @param {Object} options - Print options, each defaulting to the print config
+     * @param {number} options.thickness - Panel thickness in mm
+     * @param {number} options.holeCompensation - Added to every hole size in mm
+     * @param {number} options.chamfer - Front edge chamfer in mm, 0 for none
+     * @param {boolean} options.ribs - Add stiffening ribs
+     * @param {boolean} options.legends - Recess control labels
+     * @param {THREE.Font} options.font - Legend font, legends are left off without one
+     * @returns {Object|null} Geometry, settings used, rib and legend counts and warnings
+     */
+    createPrintableGeometry(moduleSpec, options = {}) {
+        try {
+            const settings = this._printSettings(options);
+            const panel = PanelDrawingService.getPanelGeometry(moduleSpec);
+            const { railZone } = PanelStandardsService.getFormat(moduleSpec);
+            const thickness = settings.thickness;
+            const warnings = [];
+
+            if (!(thickness > 0)) {
+                throw new Error('Print thickness must be positive');
+            }
+            if (settings.chamfer >= thickness) {
+                throw new Error(`Chamfer must be less than the ${thickness}mm panel thickness`);
+            }
+
+            // Plate and ribs are merged and cut in one pass
+            const ribs = settings.ribs ? this._layoutRibs(panel, railZone, settings) : [];
+            const solids = [
+                new THREE.BoxGeometry(panel.width, panel.height, thickness),
+                ...ribs.map(rib => this._createRib(rib, panel, thickness, settings))
+            ];
+
+            const cutters = [
+                ...this._createCutters(panel, thickness, settings.holeCompensation),
+                ...this._createChamfers(panel, thickness, settings.chamfer)
+            ];
+
+            const labelled = settings.legends ? panel.holes.filter(hole => hole.label) : [];
+            if (labelled.length > 0 && !settings.font) {
+                warnings.push('No legend font loaded, legends were left off');
+            } else {
+                labelled.forEach(hole => {
+                    const legend = this._createLegend(hole, panel, thickness, settings);
+                    const bounds = legend.boundingBox;
+                    if (bounds.min.x < -panel.width / 2 || bounds.max.x > panel.width / 2) {
+                        warnings.push(`Legend "${hole.label}" runs off the panel edge`);
+                    }
+                    cutters.push(legend);
+                });
+            }
+
+            const geometry = CSGService.subtract(solids, cutters);
+            if (!geometry) {
+                throw new Error('Panel hole cutting failed');
+            }
+
+            // Front face down on the bed, ribs up
+            geometry.rotateX(Math.PI);
+            geometry.translate(0, 0, thickness / 2);
+
+            return {
+                geometry,
+                thickness,
+                holeCompensation: settings.holeCompensation,
+                chamfer: settings.chamfer,
+                ribs: ribs.length,
+                legends: settings.font ? labelled.length : 0,
+                warnings
+            };
+        } catch (error) {
+            ErrorService.handleError(error, {
+                context: 'Printable Panel Generation',
+                moduleSpec: moduleSpec
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Print options over the print config defaults
+     * @param {Object} options - Caller's print options
+     * @returns {Object} Complete print settings
+     * @private
+     */
+    _printSettings(options) {
+        return {
+            thickness: options.thickness ?? ConfigService.get('print.thickness', 3),
+            holeCompensation: options.holeCompensation ?? ConfigService.get('print.holeCompensation', 0.2),
+            chamfer: options.chamfer ?? ConfigService.get('print.chamfer', 0.6),
+            ribs: options.ribs ?? ConfigService.get('print.ribs', true),
+            ribHeight: options.ribHeight ?? ConfigService.get('print.ribHeight', 4),
+            ribWidth: options.ribWidth ?? ConfigService.get('print.ribWidth', 1.6),
+            ribSpacing: options.ribSpacing ?? ConfigService.get('print.ribSpacing', 20),
+            ribClearance: options.ribClearance ?? ConfigService.get('print.ribClearance', 1),
+            legends: options.legends ?? ConfigService.get('print.legends', true),
+            legendDepth: options.legendDepth ?? ConfigService.get('print.legendDepth', 0.6),
+            font: options.font || null
+        };
+    }
+
+    /**
+     * Cutters for every control hole and mounting slot, in panel space
+     * @param {Object} panel - Panel geometry from PanelDrawingService
+     * @param {number} thickness - Panel thickness in mm
+     * @param {number} compensation - Added to every hole size in mm
+     * @returns {Array<THREE.BufferGeometry>} Cutters through the panel
+     * @private
+     */
+    _createCutters(panel, thickness, compensation) {
+        const length = thickness + 2 * this._cutterOvershoot;
+
+        // Hole positions are panel mm from the top-left corner, Y down
+        const place = (cutter, hole) => cutter.translate(hole.x - panel.width / 2, panel.height / 2 - hole.y, 0);
+        return [
+            ...panel.holes.map(hole => place(this._createHoleCutter(this._compensate(hole, compensation), length), hole)),
+            ...panel.mountingHoles.map(hole => place(this._createSlotCutter(this._compensate(hole, compensation), length), hole))
+        ];
+    }
+
+    /**
+     * Grow a hole's size by the printer compensation
+     * @param {Object} hole - Control or mounting hole
+     * @param {number} amount - Added to diameter, width, height and slot length in mm
+     * @returns {Object} Hole with the enlarged size
+     * @private
+     */
+    _compensate(hole, amount) {
+        if (!amount) return hole;
+
+        const grown = { ...hole };
+        ['diameter', 'width', 'height', 'slotLength'].forEach(key => {
+            if (grown[key] > 0) grown[key] += amount;
+        });
+        return grown;
+    }
+
+    /**
+     * Place stiffening ribs between the rail zones: one along each edge of
+     * the band and vertical ribs spread across the width, which stop at the
+     * edge ribs instead of running through them. Each rib is cut short
+     * around hole and part body footprints, and stubs are dropped.
+     * @param {Object} panel - Panel geometry from PanelDrawingService
+     * @param {number} railZone - Rail keep-out height at top and bottom in mm
+     * @param {Object} settings - Print settings
+     * @returns {Array<Object>} Rib rectangles (left, top, width, height) in panel mm
+     * @private
+     */
+    _layoutRibs(panel, railZone, settings) {
+        const { ribWidth, ribClearance } = settings;
+        const minLength = 2 * ribWidth;
+        const top = railZone;
+        const bottom = panel.height - railZone;
+
+        const keepouts = panel.holes.flatMap(hole => {
+            const part = ComponentLibraryService.getPart(hole.partId);
+            return [hole, part && part.body]
+                .filter(Boolean)
+                .map(size => this._footprintBounds(hole, size, ribClearance));
+        });
+
+        // Parts of [from, to] along a rib not blocked by any keepout
+        const split = (from, to, blocked) => {
+            const segments = [];
+            let start = from;
+            blocked
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([low, high]) => {
+                    if (low > start) segments.push([start, Math.min(low, to)]);
+                    start = Math.max(start, high);
+                });
+            if (start < to) segments.push([start, to]);
+            return segments.filter(([low, high]) => high - low >= minLength);
+        };
+
+        const ribs = [];
+        [top + ribWidth / 2, bottom - ribWidth / 2].forEach(y => {
+            const blocked = keepouts
+                .filter(box => box.top < y + ribWidth / 2 && box.bottom > y - ribWidth / 2)
+                .map(box => [box.left, box.right]);
+            split(ribClearance, panel.width - ribClearance, blocked).forEach(([left, right]) => {
+                ribs.push({ left, top: y - ribWidth / 2, width: right - left, height: ribWidth });
+            });
+        });
+
+        const count = Math.max(1, Math.round(panel.width / settings.ribSpacing));
+        for (let i = 0; i < count; i++) {
+            const x = panel.width * (i + 0.5) / count;
+            const blocked = keepouts
+                .filter(box => box.left < x + ribWidth / 2 && box.right > x - ribWidth / 2)
+                .map(box => [box.top, box.bottom]);
+            split(top + ribWidth, bottom - ribWidth, blocked).forEach(([low, high]) => {
+                ribs.push({ left: x - ribWidth / 2, top: low, width: ribWidth, height: high - low });
+            });
+        }
+
+        return ribs;
+    }
+
+    /**
+     * Axis-aligned bounds of a round or (rotated) rectangular footprint
+     * centred on a hole, grown by a clearance
+     * @param {Object} hole - Control hole with x, y and rotation
+     * @param {Object} size - Round ({ diameter }) or rectangular ({ width, height }) size
+     * @param {number} clearance - Added on every side in mm
+     * @returns {Object} left, right, top and bottom in panel mm
+     * @private
+     */
+    _footprintBounds(hole, size, clearance) {
+        let halfWidth = size.diameter / 2;
+        let halfHeight = size.diameter / 2;
+        if (!size.diameter) {
+            const angle = (hole.rotation || 0) * Math.PI / 180;
+            const cos = Math.abs(Math.cos(angle));
+            const sin = Math.abs(Math.sin(angle));
+            halfWidth = (size.width * cos + size.height * sin) / 2;
+            halfHeight = (size.width * sin + size.height * cos) / 2;
+        }
+
+        return {
+            left: hole.x - halfWidth - clearance,
+            right: hole.x + halfWidth + clearance,
+            top: hole.y - halfHeight - clearance,
+            bottom: hole.y + halfHeight + clearance
+        };
+    }
+
+    /**
+     * Rib solid standing off the back face
+     * @param {Object} rib - Rib rectangle in panel mm
+     * @param {Object} panel - Panel geometry from PanelDrawingService
+     * @param {number} thickness - Panel thickness in mm
+     * @param {Object} settings - Print settings
+     * @returns {THREE.BufferGeometry} Rib box in panel space
+     * @private
+     */
+    _createRib(rib, panel, thickness, settings) {
+        const depth = settings.ribHeight + this._ribOverlap;
+        const box = new THREE.BoxGeometry(rib.width, rib.height, depth);
+        box.translate(
+            rib.left + rib.width / 2 - panel.width / 2,
+            panel.height / 2 - rib.top - rib.height / 2,
+            -thickness / 2 - depth / 2 + this._ribOverlap
+        );
+        return box;
+    }
+
+    /**
+     * 45° cutters along the four front edges
+     * @param {Object} panel - Panel geometry from PanelDrawingService
+     * @param {number} thickness - Panel thickness in mm
+     * @param {number} size - Chamfer leg length in mm
+     * @returns {Array<THREE.BufferGeometry>} Edge cutters, none when size is 0
+     * @private
+     */
+    _createChamfers(panel, thickness, size) {
+        if (!(size > 0)) return [];
+
+        // A square turned 45° about the edge removes a triangle with legs of size
+        const side = size * Math.SQRT2;
+        const overshoot = 2 * this._cutterOvershoot;
+        const front = thickness / 2;
+        return [
+            ...[1, -1].map(sign => new THREE.BoxGeometry(panel.width + overshoot, side, side)
+                .rotateX(Math.PI / 4)
+                .translate(0, sign * panel.height / 2, front)),
+            ...[1, -1].map(sign => new THREE.BoxGeometry(side, panel.height + overshoot, side)
+                .rotateY(Math.PI / 4)
+                .translate(sign * panel.width / 2, 0, front))
+        ];
+    }
+
+    /**
+     * Cutter recessing a control's label into the front face, placed where
+     * the 2D drawings engrave it
+     * @param {Object} hole - Labelled control hole
+     * @param {Object} panel - Panel geometry from PanelDrawingService
+     * @param {number} thickness - Panel thickness in mm
+     * @param {Object} settings - Print settings with font and legendDepth
+     * @returns {THREE.BufferGeometry} Text solid with its bounding box computed
+     * @private
+     */
+    _createLegend(hole, panel, thickness, settings) {
+        const label = PanelDrawingService.getLabelPosition(hole);
+        const text = new THREE.TextGeometry(hole.label, {
+            font: settings.font,
+            size: label.height,
+            height: settings.legendDepth + this._cutterOvershoot,
+            curveSegments: 4
+        });
+
+        text.computeBoundingBox();
+        const centre = (text.boundingBox.min.x + text.boundingBox.max.x) / 2;
+        // Text is extruded from z = 0 with its baseline on y = 0
+        text.translate(label.x - panel.width / 2 - centre, panel.height / 2 - label.y, thickness / 2 - settings.legendDepth);
+        text.computeBoundingBox();
+        return text;
+    }
+
+    /**
+     * Cutter for a control hole: a cylinder for round holes, a box turned
+     * by the control's rotation for rectangular windows
+     * @param {Object} hole - Control hole from PanelDrawingService
+     * @param {number} length - Cutter length through the panel in mm
+     * @returns {THREE.BufferGeometry} Cutter centred on the origin
+     * @private
+     */
+    _createHoleCutter(hole, length) {
+        if (hole.diameter) {
+            return this._createCylinder(hole.diameter, length);
+        }
+
+        const box = new THREE.BoxGeometry(hole.width, hole.height, length);
+        // Clockwise on the panel is negative about +Z
+        box.rotateZ(-(hole.rotation || 0) * Math.PI / 180);
+        return box;
+    }
+
+    /**
+     * Cutter for a rail mounting hole, stretched into a horizontal oval
+     * slot when the hole has a slot length
+     * @param {Object} hole - Mounting hole with diameter and optional slotLength
+     * @param {number} length - Cutter length through the panel in mm
+     * @returns {THREE.BufferGeometry} Cutter centred on the origin
+     * @private
+     */
+    _createSlotCutter(hole, length) {
+        if (!(hole.slotLength > hole.diameter)) {
+            return this._createCylinder(hole.diameter, length);
+        }
+
+        const radius = hole.diameter / 2;
+        const halfStraight = (hole.slotLength - hole.diameter) / 2;
+        const shape = new THREE.Shape();
+        shape.absarc(halfStraight, 0, radius, -Math.PI / 2, Math.PI / 2, false);
+        shape.absarc(-halfStraight, 0, radius, Math.PI / 2, Math.PI * 3 / 2, false);
+
+        const geometry = new THREE.ExtrudeGeometry(shape, {
+            depth: length,
+            bevelEnabled: false,
+            curveSegments: Math.ceil(this._segments() / 2)
+        });
+        geometry.translate(0, 0, -length / 2);
+        return geometry;
+    }
+
+    /**
+     * Round cutter along Z
+     * @param {number} diameter - Hole diameter in mm
+     * @param {number} length - Cutter length in mm
+     * @returns {THREE.BufferGeometry} Cylinder centred on the origin
+     * @private
+     */
+    _createCylinder(diameter, length) {
+        const geometry = new THREE.CylinderGeometry(diameter / 2, diameter / 2, length, this._segments());
+        // CylinderGeometry runs along Y; turn it through the panel
+        geometry.rotateX(Math.PI / 2);
+        return geometry;
+    }
+
+    /**
+     * Facets around a round hole
+     * @returns {number} Segment count
+     * @private
+     */
+    _segments() {
+        return ConfigService.get('panel.holeSegments', 48);
+    }
+}
+
+// Singleton export
+export default new PanelModelService();
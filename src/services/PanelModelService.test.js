@@ -0,0 +1,53 @@
+import { createRequire } from 'module';
+import PanelModelService from './PanelModelService.js';
+import { brokenEdges } from './testHelpers.js';
+
+const require = createRequire(import.meta.url);
+const font = new THREE.Font(require('three/examples/fonts/helvetiker_bold.typeface.json'));
+
+// 8HP panel with a knob, two jacks and a turned slider
+const createModuleSpec = () => ({
+    name: 'Test VCO',
+    width: 8,
+    controls: [
+        { unit: 'mm', anchor: 'left', x: 10, y: 30, type: 'knob', partId: 'davies-1900h', label: 'FREQ' },
+        { unit: 'mm', anchor: 'left', x: 10, y: 100, type: 'jack', partId: 'thonkiconn-pj398sm', label: 'IN' },
+        { unit: 'mm', anchor: 'left', x: 30, y: 100, type: 'jack', partId: 'thonkiconn-pj398sm', label: 'OUT' },
+        { unit: 'mm', anchor: 'left', x: 30, y: 50, type: 'slider', partId: 'slide-pot-30mm', label: 'LEVEL', rotation: 30 }
+    ]
+});
+
+describe('createPanelGeometry', () => {
+    test('cuts the control and mounting holes into a closed plate', () => {
+        const geometry = PanelModelService.createPanelGeometry(createModuleSpec());
+
+        expect(brokenEdges(geometry)).toEqual([]);
+    });
+});
+
+describe('createPrintableGeometry', () => {
+    test('builds a watertight panel with ribs on the default settings', () => {
+        const result = PanelModelService.createPrintableGeometry(createModuleSpec());
+
+        expect(result).toMatchObject({ thickness: 3, holeCompensation: 0.2, chamfer: 0.6 });
+        expect(result.ribs).toBeGreaterThan(0);
+        expect(result.warnings).toEqual(['No legend font loaded, legends were left off']);
+        expect(brokenEdges(result.geometry)).toEqual([]);
+    });
+
+    test('lays the panel front down with the ribs pointing up', () => {
+        const { geometry } = PanelModelService.createPrintableGeometry(createModuleSpec());
+        geometry.computeBoundingBox();
+
+        expect(geometry.boundingBox.min.z).toBeCloseTo(0);
+        expect(geometry.boundingBox.max.z).toBeCloseTo(3 + 4);
+    });
+
+    test('stays watertight with recessed legends', () => {
+        const result = PanelModelService.createPrintableGeometry(createModuleSpec(), { font });
+
+        expect(result.legends).toBe(4);
+        expect(result.warnings).toEqual([]);
+        expect(brokenEdges(result.geometry)).toEqual([]);
+    });
+});
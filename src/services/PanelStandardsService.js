@@ -0,0 +1,245 @@
+import ConfigService from './ConfigService.js';
+
+class PanelStandardsService {
+    constructor() {
+        // Doepfer A-100 rail mounting hole geometry (mm)
+        this._mounting = {
+            holeDiameter: 3.2,     // M3 clearance
+            slotLength: 5.2,       // Overall length of oval slots
+            firstHoleX: 7.5,       // First hole centre from left panel edge
+            secondPairMinHP: 10    // Modules this wide get a second hole pair
+        };
+
+        // Panel format presets. Heights and depths are in mm; rowHeight is
+        // the vertical pitch of a case row that takes this format.
+        // edgeOffsetY is the hole centre from the top/bottom panel edge and
+        // railZone the rail keep-out height at top and bottom.
+        this._formats = {
+            'eurorack-3u': {
+                label: 'Eurorack 3U',
+                height: 128.5,
+                heightRange: { min: 100, max: 150 },
+                depthRange: { min: 20, max: 45 },
+                rowHeight: 133.35,
+                edgeOffsetY: 3,
+                railZone: 10
+            },
+            'intellijel-1u': {
+                label: 'Intellijel 1U',
+                height: 39.65,
+                heightRange: { min: 39, max: 40.5 },
+                depthRange: { min: 10, max: 45 },
+                rowHeight: 44.45,
+                edgeOffsetY: 3,
+                railZone: 6
+            },
+            'pulp-logic-1u': {
+                label: 'Pulp Logic 1U',
+                height: 43.2,
+                heightRange: { min: 42.5, max: 44 },
+                depthRange: { min: 10, max: 45 },
+                rowHeight: 44.45,
+                edgeOffsetY: 3.2,
+                railZone: 7
+            }
+        };
+        this._defaultFormat = 'eurorack-3u';
+
+        // Doepfer A-100 actual front panel widths (mm) keyed by HP
+        this._doepferWidths = {
+            1: 5.00, 1.5: 7.50, 2: 9.80, 4: 20.00, 6: 30.00, 8: 40.30,
+            10: 50.50, 12: 60.60, 14: 70.80, 16: 80.60, 18: 91.30,
+            20: 101.30, 21: 106.30, 22: 111.40, 28: 141.90, 42: 213.00
+        };
+
+        // Clearance used for HP values missing from the Doepfer table
+        this._doepferClearance = 0.3;
+    }
+
+    /**
+     * List the supported panel format presets
+     * @returns {Array<Object>} Formats with id and preset values
+     */
+    getFormats() {
+        return Object.entries(this._formats).map(([id, format]) => ({ id, ...format }));
+    }
+
+    /**
+     * Resolve the panel format preset for a module.
+     * Specs without a format are matched by height so older 3U projects
+     * and height-only 1U specs keep working.
+     * @param {Object} moduleSpec - Module specification
+     * @returns {Object} Format preset including its id
+     */
+    getFormat(moduleSpec = {}) {
+        let id = moduleSpec.format;
+
+        if (!id && typeof moduleSpec.height === 'number') {
+            id = Object.keys(this._formats).find(key => {
+                const range = this._formats[key].heightRange;
+                return moduleSpec.height >= range.min && moduleSpec.height <= range.max;
+            });
+        }
+
+        if (!this._formats[id]) {
+            id = this._defaultFormat;
+        }
+
+        return { id, ...this._formats[id] };
+    }
+
+    /**
+     * Check a module's height and depth against its format's ranges
+     * @param {Object} moduleSpec - Module specification
+     * @returns {Object} Validation result
+     */
+    validateFormat(moduleSpec) {
+        const errors = [];
+
+        if (moduleSpec.format !== undefined && !this._formats[moduleSpec.format]) {
+            errors.push(`Unknown panel format: ${moduleSpec.format}`);
+            return { isValid: false, errors: errors };
+        }
+
+        const format = this.getFormat(moduleSpec);
+        [['height', format.heightRange], ['depth', format.depthRange]].forEach(([key, range]) => {
+            const value = moduleSpec[key];
+            if (typeof value !== 'number') return;
+
+            if (value < range.min || value > range.max) {
+                errors.push(`${key} must be between ${range.min}mm and ${range.max}mm for ${format.label}`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Resolve physical panel dimensions for a module.
+     * Panels are cut slightly narrower than HP × 5.08 so neighbours fit;
+     * the actual width comes from the configured tolerance profile.
+     * @param {Object} moduleSpec - Module specification (width in HP)
+     * @returns {Object} Nominal/actual width, height and thickness in mm
+     */
+    getPanelDimensions(moduleSpec) {
+        const hpUnit = ConfigService.get('hpUnit', 5.08);
+        const profile = ConfigService.get('panel.toleranceProfile', 'doepfer');
+        const widthHP = moduleSpec.width;
+        const nominalWidth = widthHP * hpUnit;
+
+        let widths = this._doepferWidths;
+        let clearance = this._doepferClearance;
+        if (profile === 'custom') {
+            widths = ConfigService.get('panel.customTolerance.widths', {});
+            clearance = ConfigService.get('panel.customTolerance.clearance', this._doepferClearance);
+        }
+
+        const actualWidth = widths[widthHP] !== undefined
+            ? widths[widthHP]
+            : Math.round((nominalWidth - clearance) * 100) / 100;
+
+        return {
+            widthHP: widthHP,
+            nominalWidth: nominalWidth,
+            actualWidth: actualWidth,
+            height: moduleSpec.height || this.getFormat(moduleSpec).height,
+            thickness: moduleSpec.panelThickness || ConfigService.get('panel.thickness', 2),
+            toleranceProfile: profile
+        };
+    }
+
+    /**
+     * Generate Doepfer A-100 rail mounting holes for a module width.
+     * The vertical hole offset follows the module's panel format.
+     * Coordinates are millimetres from the panel's top-left corner, Y down.
+     * @param {Object} moduleSpec - Module specification (width in HP, height in mm)
+     * @param {Object} options - Generation options
+     * @param {string} options.style - 'round' holes or 'oval' slots
+     * @returns {Array<Object>} Mounting holes with id, x, y, diameter, slotLength
+     */
+    generateMountingHoles(moduleSpec, options = {}) {
+        const hpUnit = ConfigService.get('hpUnit', 5.08);
+        const widthHP = moduleSpec.width;
+        const { actualWidth: widthMm, height } = this.getPanelDimensions(moduleSpec);
+        const style = options.style || moduleSpec.mountingHoleStyle || 'round';
+        const edgeOffsetY = this.getFormat(moduleSpec).edgeOffsetY;
+        const m = this._mounting;
+
+        // Very narrow panels cannot fit the 7.5 mm offset, centre the holes instead
+        const columns = [widthMm < m.firstHoleX * 1.5 ? widthMm / 2 : m.firstHoleX];
+        if (widthHP >= m.secondPairMinHP) {
+            columns.push(m.firstHoleX + (widthHP - 3) * hpUnit);
+        }
+
+        const holes = [];
+        columns.forEach((x, column) => {
+            const side = column === 0 ? 'left' : 'right';
+            [['top', edgeOffsetY], ['bottom', height - edgeOffsetY]].forEach(([edge, y]) => {
+                holes.push({
+                    id: `${edge}-${side}`,
+                    x: x,
+                    y: y,
+                    diameter: m.holeDiameter,
+                    slotLength: style === 'oval' ? m.slotLength : 0
+                });
+            });
+        });
+
+        return holes;
+    }
+
+    /**
+     * Resolve a module's mounting holes: generated defaults with any
+     * per-hole overrides (moduleSpec.mountingHoleOverrides, keyed by hole id) applied.
+     * @param {Object} moduleSpec - Module specification
+     * @returns {Array<Object>} Mounting holes
+     */
+    getMountingHoles(moduleSpec) {
+        const overrides = moduleSpec.mountingHoleOverrides || {};
+
+        return this.generateMountingHoles(moduleSpec).map(hole => ({
+            ...hole,
+            ...(overrides[hole.id] || {}),
+            id: hole.id
+        }));
+    }
+
+    /**
+     * Check mounting holes against the panel outline and rail zones
+     * @param {Object} moduleSpec - Module specification
+     * @returns {Object} Validation result
+     */
+    validateMountingHoles(moduleSpec) {
+        const errors = [];
+        const { actualWidth: widthMm, height } = this.getPanelDimensions(moduleSpec);
+        const railZone = this.getFormat(moduleSpec).railZone;
+
+        this.getMountingHoles(moduleSpec).forEach(hole => {
+            const halfLength = Math.max(hole.diameter, hole.slotLength || 0) / 2;
+            const radius = hole.diameter / 2;
+
+            if (hole.x - halfLength < 0 || hole.x + halfLength > widthMm ||
+                hole.y - radius < 0 || hole.y + radius > height) {
+                errors.push(`Mounting hole ${hole.id} lies outside the panel`);
+                return;
+            }
+
+            const inTopRail = hole.y + radius <= railZone;
+            const inBottomRail = hole.y - radius >= height - railZone;
+            if (!inTopRail && !inBottomRail) {
+                errors.push(`Mounting hole ${hole.id} is outside the ${railZone}mm rail zone`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// Singleton export
+export default new PanelStandardsService();
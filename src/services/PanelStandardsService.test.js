@@ -0,0 +1,58 @@
+import PanelStandardsService from './PanelStandardsService.js';
+import ConfigService from './ConfigService.js';
+
+describe('getPanelDimensions', () => {
+    afterEach(() => {
+        ConfigService.set('panel.toleranceProfile', 'doepfer');
+        ConfigService.set('panel.customTolerance', { clearance: 0.3, widths: {} });
+    });
+
+    test('uses the Doepfer table for listed widths', () => {
+        const dimensions = PanelStandardsService.getPanelDimensions({ width: 8 });
+
+        expect(dimensions).toMatchObject({ widthHP: 8, actualWidth: 40.3, height: 128.5, toleranceProfile: 'doepfer' });
+        expect(dimensions.nominalWidth).toBeCloseTo(40.64);
+        expect(PanelStandardsService.getPanelDimensions({ width: 42 }).actualWidth).toBe(213);
+    });
+
+    test('subtracts the clearance for widths the table does not list', () => {
+        expect(PanelStandardsService.getPanelDimensions({ width: 5 }).actualWidth).toBe(25.1);
+    });
+
+    test('follows a custom tolerance profile', () => {
+        ConfigService.set('panel.toleranceProfile', 'custom');
+        ConfigService.set('panel.customTolerance', { clearance: 0.5, widths: { 8: 40.4 } });
+
+        expect(PanelStandardsService.getPanelDimensions({ width: 8 }).actualWidth).toBe(40.4);
+        expect(PanelStandardsService.getPanelDimensions({ width: 6 }).actualWidth).toBe(29.98);
+    });
+});
+
+describe('formats', () => {
+    test('lists the 3U and 1U presets', () => {
+        expect(PanelStandardsService.getFormats().map(format => format.id))
+            .toEqual(['eurorack-3u', 'intellijel-1u', 'pulp-logic-1u']);
+    });
+
+    test('resolves a format by id, by height, or falls back to 3U', () => {
+        expect(PanelStandardsService.getFormat({ format: 'pulp-logic-1u' })).toMatchObject({ height: 43.2, railZone: 7 });
+        expect(PanelStandardsService.getFormat({ height: 39.65 }).id).toBe('intellijel-1u');
+        expect(PanelStandardsService.getFormat({ height: 128.5 }).id).toBe('eurorack-3u');
+        expect(PanelStandardsService.getFormat({ format: 'buchla' }).id).toBe('eurorack-3u');
+        expect(PanelStandardsService.getFormat().id).toBe('eurorack-3u');
+    });
+
+    test('sizes 1U panels and their mounting holes from the preset', () => {
+        const moduleSpec = { format: 'intellijel-1u', width: 12 };
+
+        expect(PanelStandardsService.getPanelDimensions(moduleSpec).height).toBe(39.65);
+        expect(PanelStandardsService.getMountingHoles(moduleSpec).map(hole => hole.y)).toEqual([3, 36.65, 3, 36.65]);
+    });
+
+    test('checks height and depth against the preset ranges', () => {
+        expect(PanelStandardsService.validateFormat({ format: 'intellijel-1u', height: 39.65, depth: 30 }).isValid).toBe(true);
+        expect(PanelStandardsService.validateFormat({ format: 'intellijel-1u', height: 128.5 }).errors)
+            .toEqual(['height must be between 39mm and 40.5mm for Intellijel 1U']);
+        expect(PanelStandardsService.validateFormat({ format: 'buchla' }).errors).toEqual(['Unknown panel format: buchla']);
+    });
+});
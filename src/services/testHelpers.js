@@ -0,0 +1,27 @@
+// Shared checks for the service tests; not loaded by the app
+
+/**
+ * Directed triangle edges that are not matched by exactly one edge running
+ * the other way. A closed, consistently wound mesh uses every edge once in
+ * each direction, so this is empty for watertight geometry.
+ * @param {THREE.BufferGeometry} geometry - Non-indexed geometry
+ * @returns {Array<Array>} Broken edges as [edge key, count]
+ */
+export const brokenEdges = (geometry) => {
+    const position = geometry.attributes.position;
+    const key = i => [position.getX(i), position.getY(i), position.getZ(i)].join(',');
+    const counts = new Map();
+
+    for (let i = 0; i < position.count; i += 3) {
+        const corners = [key(i), key(i + 1), key(i + 2)];
+        corners.forEach((corner, j) => {
+            const edge = `${corner}|${corners[(j + 1) % 3]}`;
+            counts.set(edge, (counts.get(edge) || 0) + 1);
+        });
+    }
+
+    return [...counts].filter(([edge, count]) => {
+        const [from, to] = edge.split('|');
+        return count !== 1 || counts.get(`${to}|${from}`) !== 1;
+    });
+};